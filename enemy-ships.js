@@ -1,6 +1,7 @@
 /**
  * Base Enemy Ship class for Gyruss-inspired tube shooter
  * Extends Phaser.Physics.Arcade.Sprite to integrate with physics system
+ * Entrances, attack runs and pulses are tweens on the scene's SimClock, so ships move with the fixed step
  */
 class EnemyShip extends Phaser.Physics.Arcade.Sprite {
     /**
@@ -18,38 +19,65 @@ class EnemyShip extends Phaser.Physics.Arcade.Sprite {
         scene.physics.add.existing(this);
         
         // Base properties
-        this.health = 1;
+        this.maxHealth = 1;
+        this.health = this.maxHealth;
+        this.baseScale = GameConfig.enemyScale;
         this.pointsInMotion = 100;
         this.pointsInFormation = 50;
         
         // State management
-        this.currentState = 'spawning'; // spawning, entering, inFormation, attacking, destroyed
+        this.currentState = 'spawning'; // spawning, entering, inFormation, attacking, retreating, destroyed
         this.formationPosition = null;
         this.attackTarget = null;
         
         // Movement properties
         this.enterSpeed = 200;
         this.attackSpeed = 300;
-        this.formationRadius = 250;
         
         // Animation properties
         this.pulseTween = null;
         this.enterTween = null;
         this.attackTween = null;
         
-        // Initialize visual effects
-        this.initializeVisualEffects();
+        // Bumped on every spawn so callbacks queued for an earlier life can tell
+        this.spawnCount = 0;
+        
+        this.setScale(this.baseScale);
+    }
+    
+    /**
+     * Bring a pooled ship (back) into play with fresh state
+     * @param {number} x - Spawn x position
+     * @param {number} y - Spawn y position
+     * @returns {EnemyShip} This ship
+     */
+    spawn(x, y) {
+        this.enableBody(true, x, y, true, true);
+        this.spawnCount++;
+        
+        this.health = this.maxHealth;
+        this.currentState = 'spawning';
+        this.formationPosition = null;
+        this.attackTarget = null;
+        this.pulseTween = null;
+        this.enterTween = null;
+        this.attackTween = null;
+        
+        this.setAlpha(1);
+        this.setRotation(0);
+        this.setScale(this.baseScale);
+        return this;
     }
     
     /**
      * Initialize visual effects for the ship
      */
     initializeVisualEffects() {
-        // Add subtle pulsing animation
-        this.pulseTween = this.scene.tweens.add({
+        // Add subtle pulsing animation around the ship's depth-scaled size
+        this.pulseTween = this.scene.simClock.addTween({
             targets: this,
-            scaleX: 1.1,
-            scaleY: 1.1,
+            scaleX: this.scaleX * 1.1,
+            scaleY: this.scaleY * 1.1,
             duration: 1000,
             yoyo: true,
             repeat: -1,
@@ -57,19 +85,40 @@ class EnemyShip extends Phaser.Physics.Arcade.Sprite {
         });
     }
     
+    /**
+     * Scale for the ship's collision shape - the resting size while pulsing, so the pulse doesn't grow the hitbox
+     * @returns {number} Scale multiplier
+     */
+    getHitboxScale() {
+        if (this.pulseTween && this.pulseTween.isPlaying() && this.formationPosition) {
+            return this.formationPosition.scale;
+        }
+        return this.scaleX;
+    }
+    
+    /**
+     * Place the ship at a tube coordinate, scaling it for its depth
+     * @param {number} angle - Angle around the tube
+     * @param {number} depth - Depth along the tube (0 = vanishing point, 1 = player)
+     */
+    setTubePosition(angle, depth) {
+        Tube.place(this, angle, depth, this.baseScale);
+    }
+    
     /**
      * Set the formation position for this ship
-     * @param {number} angle - Angle around the formation circle
-     * @param {number} radius - Distance from center
+     * @param {number} angle - Angle around the tube
+     * @param {number} depth - Depth along the tube
      */
-    setFormationPosition(angle, radius = this.formationRadius) {
-        const centerX = this.scene.cameras.main.centerX;
-        const centerY = this.scene.cameras.main.centerY;
+    setFormationPosition(angle, depth = GameConfig.tube.formationDepth) {
+        const point = Tube.project(angle, depth);
         
         this.formationPosition = {
-            x: centerX + Math.cos(angle) * radius,
-            y: centerY + Math.sin(angle) * radius,
-            angle: angle
+            x: point.x,
+            y: point.y,
+            angle: angle,
+            depth: depth,
+            scale: this.baseScale * point.scale
         };
     }
     
@@ -100,10 +149,12 @@ class EnemyShip extends Phaser.Physics.Arcade.Sprite {
      */
     createEnterAnimation(duration) {
         // Default straight-line entrance
-        this.enterTween = this.scene.tweens.add({
+        this.enterTween = this.scene.simClock.addTween({
             targets: this,
             x: this.formationPosition.x,
             y: this.formationPosition.y,
+            scaleX: this.formationPosition.scale,
+            scaleY: this.formationPosition.scale,
             duration: duration,
             ease: 'Power2',
             onComplete: () => {
@@ -117,6 +168,11 @@ class EnemyShip extends Phaser.Physics.Arcade.Sprite {
      * Called when the ship reaches its formation position
      */
     onFormationReached() {
+        this.setTubePosition(this.formationPosition.angle, this.formationPosition.depth);
+        
+        // Pulse only once in place so it doesn't fight the entrance scaling
+        this.initializeVisualEffects();
+        
         // Start formation behavior
         this.startFormationBehavior();
     }
@@ -137,10 +193,13 @@ class EnemyShip extends Phaser.Physics.Arcade.Sprite {
         this.currentState = 'attacking';
         this.attackTarget = target;
         
-        // Stop formation behavior
+        // Stop formation behavior - the attack drives the ship's scale from here
         if (this.enterTween) {
             this.enterTween.stop();
         }
+        if (this.pulseTween) {
+            this.pulseTween.stop();
+        }
         
         // Create attack animation (to be overridden by subclasses)
         this.createAttackAnimation(target, duration);
@@ -152,13 +211,30 @@ class EnemyShip extends Phaser.Physics.Arcade.Sprite {
      * @param {number} duration - Duration of the animation
      */
     createAttackAnimation(target, duration) {
-        // Default straight-line attack
-        this.attackTween = this.scene.tweens.add({
-            targets: this,
-            x: target.x,
-            y: target.y,
+        // Default dive straight out of the tube
+        this.attackTween = this.diveAt(target, duration);
+    }
+    
+    /**
+     * Dive out of the tube toward the target's angle, growing as the ship nears the player
+     * @param {Phaser.GameObjects.GameObject} target - The target to dive at
+     * @param {number} duration - Duration of the dive
+     * @returns {SimTween} The dive tween
+     */
+    diveAt(target, duration) {
+        const start = Tube.unproject(this.x, this.y);
+        const turn = Phaser.Math.Angle.Wrap(Tube.unproject(target.x, target.y).angle - start.angle);
+        const endDepth = GameConfig.tube.exitDepth;
+        
+        return this.scene.simClock.addCounter({
+            from: 0,
+            to: 1,
             duration: duration,
             ease: 'Sine.easeIn',
+            onUpdate: (tween) => {
+                const t = tween.getValue();
+                this.setTubePosition(start.angle + turn * t, start.depth + (endDepth - start.depth) * t);
+            },
             onComplete: () => {
                 this.onAttackComplete();
             }
@@ -176,44 +252,70 @@ class EnemyShip extends Phaser.Physics.Arcade.Sprite {
     /**
      * Take damage and handle destruction
      * @param {number} damage - Amount of damage to take
+     * @returns {boolean} True if the ship was destroyed
      */
     takeDamage(damage = 1) {
         this.health -= damage;
         
         if (this.health <= 0) {
-            this.destroy();
+            this.scene.enemyManager.recordKill();
+            this.onKilled();
+            this.despawn();
+            return true;
         } else {
             // Visual feedback for taking damage
-            this.scene.tweens.add({
+            this.scene.simClock.addTween({
                 targets: this,
                 alpha: 0.5,
                 duration: 100,
                 yoyo: true,
                 repeat: 1
             });
+            return false;
         }
     }
     
+    /**
+     * Called when the player shoots the ship down - to be overridden by subclasses
+     */
+    onKilled() {
+    }
+    
     /**
      * Handle ship destruction and cleanup
+     * @param {boolean} fromScene - Whether the scene is being shut down
      */
-    destroy() {
+    destroy(fromScene) {
+        // Already destroyed (e.g. killed during an attack run, then cleared)
+        if (!this.scene) return;
+        
         this.currentState = 'destroyed';
         
-        // Stop all tweens
+        // Stop all tweens, including damage flashes that target the ship
         if (this.pulseTween) this.pulseTween.stop();
         if (this.enterTween) this.enterTween.stop();
         if (this.attackTween) this.attackTween.stop();
+        this.scene.simClock.killTweensOf(this);
         
         // Call parent destroy method
-        super.destroy();
+        super.destroy(fromScene);
     }
     
     /**
-     * Simple despawn method for cleanup
+     * Take the ship out of play and hand it back to its pool
      */
     despawn() {
-        this.destroy();
+        if (!this.active) return;
+        
+        this.currentState = 'destroyed';
+        
+        // Stop all tweens, including damage flashes that target the ship
+        if (this.pulseTween) this.pulseTween.stop();
+        if (this.enterTween) this.enterTween.stop();
+        if (this.attackTween) this.attackTween.stop();
+        this.scene.simClock.killTweensOf(this);
+        
+        this.disableBody(true, true);
     }
     
     /**
@@ -237,20 +339,27 @@ class RedFighter extends EnemyShip {
      * @param {number} y - Initial y position (should be center)
      */
     constructor(scene, x, y) {
-        super(scene, x, y, 'enemy1');
+        super(scene, x, y, 'redEnemy');
         
         // Red Fighter specific properties (matching Gyruss blueprint)
-        this.health = 1;
+        this.maxHealth = 1;
+        this.health = this.maxHealth;
         this.pointsInMotion = 100;  // Awarded during entry tween
         this.pointsInFormation = 50; // Awarded when stationary in formation
         this.enterSpeed = 200;
         this.attackSpeed = 300;
-        
-        // Set visual properties
-        this.setTint(0xff4444);
-        
-        // Start at scale 0 to simulate flying from distant center
+    }
+    
+    /**
+     * Spawn at the center, starting at scale 0 to simulate flying from the distant vanishing point
+     * @param {number} x - Spawn x position (should be center)
+     * @param {number} y - Spawn y position (should be center)
+     * @returns {RedFighter} This ship
+     */
+    spawn(x, y) {
+        super.spawn(x, y);
         this.setScale(0);
+        return this;
     }
     
     /**
@@ -258,33 +367,21 @@ class RedFighter extends EnemyShip {
      * @param {number} duration - Duration of the animation
      */
     createEnterAnimation(duration) {
-        const centerX = this.scene.cameras.main.centerX;
-        const centerY = this.scene.cameras.main.centerY;
-        const targetX = this.formationPosition.x;
-        const targetY = this.formationPosition.y;
-        
-        // Calculate logarithmic spiral parameters
-        const startRadius = 0;
-        const endRadius = Math.sqrt(Math.pow(targetX - centerX, 2) + Math.pow(targetY - centerY, 2));
-        const startAngle = Math.atan2(targetY - centerY, targetX - centerX);
+        const startAngle = this.formationPosition.angle;
+        const endDepth = this.formationPosition.depth;
         const spiralTurns = 3; // Number of complete rotations
         
-        this.enterTween = this.scene.tweens.add({
-            targets: this,
-            t: 0,
-            scaleX: 1,
-            scaleY: 1,
+        this.enterTween = this.scene.simClock.addCounter({
+            from: 0,
+            to: 1,
             duration: duration,
             ease: 'Power2',
             onUpdate: (tween) => {
                 const t = tween.getValue();
                 
-                // Calculate spiral position
-                const currentRadius = startRadius + (endRadius - startRadius) * t;
+                // Corkscrew up the tube, growing out of the vanishing point
                 const currentAngle = startAngle + (spiralTurns * 2 * Math.PI * t);
-                
-                this.x = centerX + Math.cos(currentAngle) * currentRadius;
-                this.y = centerY + Math.sin(currentAngle) * currentRadius;
+                this.setTubePosition(currentAngle, endDepth * t);
                 
                 // Rotate ship to face movement direction
                 const angle = currentAngle + Math.PI / 2;
@@ -303,24 +400,9 @@ class RedFighter extends EnemyShip {
      * @param {number} duration - Duration of the animation
      */
     createAttackAnimation(target, duration) {
-        // Red Fighter peels off and dives directly at target
-        const startX = this.x;
-        const startY = this.y;
-        
-        this.attackTween = this.scene.tweens.add({
-            targets: this,
-            x: target.x,
-            y: target.y,
-            duration: duration,
-            ease: 'Sine.easeIn',
-            onStart: () => {
-                // Fire projectile at start of attack
-                this.fireProjectile(target);
-            },
-            onComplete: () => {
-                this.onAttackComplete();
-            }
-        });
+        // Fire projectile at start of attack, then peel off and dive directly at target
+        this.fireProjectile(target);
+        super.createAttackAnimation(target, duration);
     }
     
     /**
@@ -328,9 +410,7 @@ class RedFighter extends EnemyShip {
      * @param {Phaser.GameObjects.GameObject} target - The target to fire at
      */
     fireProjectile(target) {
-        // This would integrate with your bullet system
-        // For now, just log the action
-        console.log('Red Fighter firing at target');
+        this.scene.enemyManager.fireEnemyBullet(this);
     }
     
     /**
@@ -355,22 +435,33 @@ class YellowScout extends EnemyShip {
      * @param {boolean} fromLeft - Whether spawning from left or right edge
      */
     constructor(scene, x, y, fromLeft = true) {
-        super(scene, x, y, 'enemy2');
+        super(scene, x, y, 'yellowEnemy');
         
         // Yellow Scout specific properties (matching Gyruss blueprint)
-        this.health = 1;
+        this.maxHealth = 1;
+        this.health = this.maxHealth;
         this.pointsInMotion = 150;  // Higher reward for hitting faster target
         this.pointsInFormation = 50; // Same as Red Fighter once stationary
         this.enterSpeed = 300; // Faster than Red Fighters
         this.attackSpeed = 400;
         
-        // Set visual properties
-        this.setTint(0xffff44);
-        
         // Store spawn direction
         this.fromLeft = fromLeft;
     }
     
+    /**
+     * Spawn at a screen edge
+     * @param {number} x - Spawn x position (should be off-screen edge)
+     * @param {number} y - Spawn y position
+     * @param {boolean} fromLeft - Whether spawning from left or right edge
+     * @returns {YellowScout} This ship
+     */
+    spawn(x, y, fromLeft = true) {
+        super.spawn(x, y);
+        this.fromLeft = fromLeft;
+        return this;
+    }
+    
     /**
      * Create direct converging entrance from screen edge
      * @param {number} duration - Duration of the animation
@@ -379,11 +470,13 @@ class YellowScout extends EnemyShip {
         const targetX = this.formationPosition.x;
         const targetY = this.formationPosition.y;
         
-        // Direct line to formation position
-        this.enterTween = this.scene.tweens.add({
+        // Direct line to formation position, shrinking as it flies into the tube
+        this.enterTween = this.scene.simClock.addTween({
             targets: this,
             x: targetX,
             y: targetY,
+            scaleX: this.formationPosition.scale,
+            scaleY: this.formationPosition.scale,
             duration: duration,
             ease: 'Quad.easeOut',
             onUpdate: (tween) => {
@@ -406,45 +499,29 @@ class YellowScout extends EnemyShip {
      * @param {number} duration - Duration of the animation
      */
     createAttackAnimation(target, duration) {
-        const startX = this.x;
-        const startY = this.y;
-        const centerX = this.scene.cameras.main.centerX;
-        const centerY = this.scene.cameras.main.centerY;
-        const endX = target.x;
-        const endY = target.y;
+        const start = Tube.unproject(this.x, this.y);
+        const loopDepth = GameConfig.tube.scoutLoopDepth;
         
-        // Chain of three tweens: peel off -> loop -> dive
+        // Chain of three tweens: fall back down the tube -> loop -> dive
         
-        // Tween 1: Move to center to begin loop
-        this.scene.tweens.add({
-            targets: this,
-            x: centerX,
-            y: centerY,
+        // Tween 1: Drop back toward the vanishing point to begin loop
+        this.attackTween = this.scene.simClock.addCounter({
+            from: start.depth,
+            to: loopDepth,
             duration: duration * 0.3,
             ease: 'Power2',
+            onUpdate: (tween) => this.setTubePosition(start.angle, tween.getValue()),
             onComplete: () => {
                 // Tween 2: Perform 360-degree loop
-                this.scene.tweens.add({
+                this.attackTween = this.scene.simClock.addTween({
                     targets: this,
-                    angle: this.rotation + Math.PI * 2,
+                    rotation: this.rotation + Math.PI * 2,
                     duration: duration * 0.4,
                     ease: 'Linear',
                     onComplete: () => {
-                        // Tween 3: Final dive at player
-                        this.scene.tweens.add({
-                            targets: this,
-                            x: endX,
-                            y: endY,
-                            duration: duration * 0.3,
-                            ease: 'Sine.easeIn',
-                            onStart: () => {
-                                // Fire projectile at start of final dive
-                                this.fireProjectile(target);
-                            },
-                            onComplete: () => {
-                                this.onAttackComplete();
-                            }
-                        });
+                        // Tween 3: Final dive at player, firing as it starts
+                        this.fireProjectile(target);
+                        this.attackTween = this.diveAt(target, duration * 0.3);
                     }
                 });
             }
@@ -456,8 +533,7 @@ class YellowScout extends EnemyShip {
      * @param {Phaser.GameObjects.GameObject} target - The target to fire at
      */
     fireProjectile(target) {
-        // This would integrate with your bullet system
-        console.log('Yellow Scout firing at target');
+        this.scene.enemyManager.fireEnemyBullet(this);
     }
     
     /**
@@ -482,26 +558,39 @@ class Satellite extends EnemyShip {
      * @param {boolean} isCentral - Whether this is the central satellite (awards power-up)
      */
     constructor(scene, x, y, isCentral = false) {
-        super(scene, x, y, 'enemy3');
+        super(scene, x, y, 'purpleEnemy');
         
         // Satellite specific properties
-        this.health = 2;
+        this.maxHealth = 2;
+        this.health = this.maxHealth;
         this.pointsInMotion = 1000;  // High value target
         this.pointsInFormation = 1000;
         this.enterSpeed = 150;
         this.attackSpeed = 200;
         
-        // Set visual properties
-        this.setTint(0x00ffff);
-        
         // Power-up properties
         this.isCentral = isCentral;
         this.carriesPowerUp = isCentral; // Only central satellite carries power-up
         
         // Satellite group properties
-        this.groupRadius = 30;
         this.groupAngle = 0;
-        this.groupCenter = { x: x, y: y };
+        this.group = null;
+    }
+    
+    /**
+     * Spawn as part of a new satellite group
+     * @param {number} x - Spawn x position
+     * @param {number} y - Spawn y position
+     * @param {boolean} isCentral - Whether this is the central satellite (awards power-up)
+     * @returns {Satellite} This satellite
+     */
+    spawn(x, y, isCentral = false) {
+        super.spawn(x, y);
+        this.isCentral = isCentral;
+        this.carriesPowerUp = isCentral;
+        this.groupAngle = 0;
+        this.group = null;
+        return this;
     }
     
     /**
@@ -513,11 +602,11 @@ class Satellite extends EnemyShip {
         this.setAlpha(0);
         this.setScale(0);
         
-        this.enterTween = this.scene.tweens.add({
+        this.enterTween = this.scene.simClock.addTween({
             targets: this,
             alpha: 1,
-            scaleX: 1,
-            scaleY: 1,
+            scaleX: this.formationPosition.scale,
+            scaleY: this.formationPosition.scale,
             duration: duration,
             ease: 'Power2',
             onComplete: () => {
@@ -527,31 +616,32 @@ class Satellite extends EnemyShip {
         });
     }
     
+    /**
+     * Satellites are re-placed every frame while orbiting, so they don't pulse
+     */
+    initializeVisualEffects() {
+    }
+    
     /**
      * Create continuous circular motion (not a tween to static position)
      */
     startFormationBehavior() {
         // Satellites move in continuous circular pattern
         // This is handled in the update method, not with tweens
-        this.groupCenter.x = this.scene.cameras.main.centerX;
-        this.groupCenter.y = this.scene.cameras.main.centerY;
     }
     
     /**
      * Update method for continuous circular motion
      * This should be called from the scene's update method
+     * @param {number} delta - Elapsed time in milliseconds
      */
-    update() {
+    update(delta) {
         if (this.currentState === 'inFormation') {
             // Update circular motion
-            this.groupAngle += 0.02; // Rotation speed
-            
-            // Calculate position in circle
-            const offsetX = Math.cos(this.groupAngle) * this.groupRadius;
-            const offsetY = Math.sin(this.groupAngle) * this.groupRadius;
+            this.groupAngle += GameConfig.satelliteOrbitSpeed * delta / 1000;
             
-            this.x = this.groupCenter.x + offsetX;
-            this.y = this.groupCenter.y + offsetY;
+            // Orbit deep in the tube around the vanishing point
+            this.setTubePosition(this.groupAngle, this.formationPosition.depth);
             
             // Rotate satellite to face movement direction
             this.rotation = this.groupAngle + Math.PI / 2;
@@ -559,23 +649,20 @@ class Satellite extends EnemyShip {
     }
     
     /**
-     * Handle destruction - award power-up if central satellite
+     * Award the power-up if this is the central satellite (only a kill pays out, not a reset)
      */
-    destroy() {
+    onKilled() {
         if (this.isCentral && this.carriesPowerUp) {
             // Award double-shot power-up
             this.awardPowerUp();
         }
-        
-        super.destroy();
     }
     
     /**
      * Award power-up to player
      */
     awardPowerUp() {
-        // This would integrate with your power-up system
-        console.log('Double-shot power-up awarded!');
+        this.scene.powerUpManager.award('doubleShot');
     }
 }
 
@@ -584,15 +671,11 @@ class Satellite extends EnemyShip {
  */
 class SatelliteGroup {
     /**
-     * Create a new satellite group
+     * Create a new satellite group orbiting the vanishing point
      * @param {Phaser.Scene} scene - The scene this group belongs to
-     * @param {number} x - Center x position
-     * @param {number} y - Center y position
      */
-    constructor(scene, x, y) {
+    constructor(scene) {
         this.scene = scene;
-        this.centerX = x;
-        this.centerY = y;
         this.satellites = [];
         
         this.createSatellites();
@@ -606,16 +689,16 @@ class SatelliteGroup {
         
         for (let i = 0; i < 3; i++) {
             const angle = angles[i];
-            const radius = 30;
-            const x = this.centerX + Math.cos(angle) * radius;
-            const y = this.centerY + Math.sin(angle) * radius;
+            const point = Tube.project(angle, GameConfig.tube.satelliteDepth);
             
             const isCentral = (i === 0); // First satellite is central
-            const satellite = new Satellite(this.scene, x, y, isCentral);
+            const satellite = this.scene.enemyManager.spawnShip('satellite', point.x, point.y, isCentral);
+            if (!satellite) continue;
             
             // Set group properties
+            satellite.group = this;
             satellite.groupAngle = angle;
-            satellite.groupRadius = radius;
+            satellite.setFormationPosition(angle, GameConfig.tube.satelliteDepth);
             
             this.satellites.push(satellite);
         }
@@ -632,28 +715,35 @@ class SatelliteGroup {
     
     /**
      * Update all satellites in the group
+     * @param {number} delta - Elapsed time in milliseconds
      */
-    update() {
-        this.satellites.forEach(satellite => {
-            if (satellite.active) {
-                satellite.update();
-            }
-        });
+    update(delta) {
+        this.getLiveSatellites().forEach(satellite => satellite.update(delta));
+    }
+    
+    /**
+     * Satellites still flying for this group (pooled ones may since have joined another group)
+     * @returns {Satellite[]} Active satellites of this group
+     */
+    getLiveSatellites() {
+        return this.satellites.filter(satellite => satellite.active && satellite.group === this);
     }
     
     /**
      * Destroy all satellites in the group
      */
     destroy() {
-        this.satellites.forEach(satellite => {
-            if (satellite.active) {
-                satellite.destroy();
-            }
-        });
+        this.getLiveSatellites().forEach(satellite => satellite.despawn());
         this.satellites = [];
     }
 }
 
+window.EnemyShip = EnemyShip;
+window.RedFighter = RedFighter;
+window.YellowScout = YellowScout;
+window.Satellite = Satellite;
+window.SatelliteGroup = SatelliteGroup;
+
 // Export classes for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
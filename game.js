@@ -10,6 +10,9 @@ const config = {
     height: GameConfig.height,
     backgroundColor: GameConfig.backgroundColor,
     parent: 'game',
+    input: {
+        gamepad: true
+    },
     physics: {
         default: 'arcade',
         arcade: {
@@ -17,7 +20,7 @@ const config = {
             debug: false
         }
     },
-    scene: [LoadingScene, MenuScene, GameScene]
+    scene: [LoadingScene, MenuScene, GameScene, ReplayScene, InitialsScene, PauseScene, SettingsScene, ControlsScene]
 };
 
 // Create and start the game
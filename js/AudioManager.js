@@ -1,17 +1,42 @@
 /**
  * Audio Manager Class
- * Handles all audio functionality with procedural sound generation
+ * Handles all audio functionality: sound effects from recorded files (GameConfig.assets.audio) where they loaded,
+ * procedural ones (GameConfig.sounds, rendered by SoundSynth) where they didn't, and sequenced background music.
+ * Everything plays through a small mixer: SFX, music and UI buses -> master -> compressor -> speakers.
  */
 
 class AudioManager {
     constructor(scene) {
         this.scene = scene;
-        this.volume = 0.7;
+        this.masterVolume = 1.0;
+        this.volume = 0.7; // sound effects
         this.musicVolume = 0.5;
+        this.uiVolume = 0.7;
         this.enabled = true;
         this.audioContext = null;
         
+        // Mixer nodes; music runs sequencer -> duckGain (ducking) -> music bus
+        this.masterGain = null;
+        this.compressor = null;
+        this.buses = null;
+        this.duckGain = null;
+        this.music = null;
+        this.reportedTracks = new Set();
+        this.checkedSounds = new Map(); // sound key -> validated definition, or null if it's broken
+        
+        // Sounds still playing, per sound key, for voice limiting
+        this.voices = {};
+        
         this.initializeAudio();
+        
+        // Music stops with the run: held while paused, silenced for good when the scene goes
+        scene.events.on('pause', this.pauseMusic, this);
+        scene.events.on('resume', this.resumeMusic, this);
+        scene.events.once('shutdown', () => {
+            scene.events.off('pause', this.pauseMusic, this);
+            scene.events.off('resume', this.resumeMusic, this);
+            this.destroy();
+        });
     }
     
     initializeAudio() {
@@ -19,6 +44,7 @@ class AudioManager {
         if (typeof AudioContext !== 'undefined' || typeof webkitAudioContext !== 'undefined') {
             try {
                 this.audioContext = new (AudioContext || webkitAudioContext)();
+                this.createMixer();
                 console.log('AudioManager: Web Audio API initialized');
             } catch (error) {
                 console.warn('AudioManager: Web Audio API not available, using fallback');
@@ -30,6 +56,40 @@ class AudioManager {
         }
     }
     
+    createMixer() {
+        const context = this.audioContext;
+        const settings = GameConfig.audio.compressor;
+        
+        // The compressor keeps piles of overlapping explosions from clipping
+        this.compressor = context.createDynamicsCompressor();
+        this.compressor.threshold.value = settings.threshold;
+        this.compressor.knee.value = settings.knee;
+        this.compressor.ratio.value = settings.ratio;
+        this.compressor.attack.value = settings.attack;
+        this.compressor.release.value = settings.release;
+        this.compressor.connect(context.destination);
+        
+        this.masterGain = context.createGain();
+        this.masterGain.connect(this.compressor);
+        
+        this.buses = {};
+        ['sfx', 'music', 'ui'].forEach((name) => {
+            this.buses[name] = context.createGain();
+            this.buses[name].connect(this.masterGain);
+        });
+        
+        this.duckGain = context.createGain();
+        this.duckGain.connect(this.buses.music);
+        this.updateMixer();
+        
+        this.music = new MusicSequencer(context, this.duckGain);
+    }
+    
+    /**
+     * Play a sound effect, recorded if its file loaded, procedural otherwise
+     * @param {string} soundKey - Sound to play
+     * @param {Object} config - volume (0-1), bus ('sfx' or 'ui'), x (emitter position, for panning), duck (dip the music)
+     */
     play(soundKey, config = {}) {
         if (!this.enabled || !this.audioContext) return;
         
@@ -39,187 +99,282 @@ class AudioManager {
                 this.audioContext.resume();
             }
             
-            const volume = (config.volume || this.volume) * this.volume;
+            if (!GameConfig.sounds[soundKey] && !GameConfig.assets.audio[soundKey]) {
+                console.warn(`AudioManager: Unknown sound: ${soundKey}`);
+                return;
+            }
+            
+            const bus = config.bus || 'sfx';
+            const volume = config.volume !== undefined ? config.volume : 1;
+            const busVolume = bus === 'ui' ? this.uiVolume : this.volume;
+            if (volume * busVolume * this.masterVolume <= 0) return;
             
-            switch (soundKey) {
-                case 'shoot':
-                    this.createShootSound(volume);
-                    break;
-                case 'explosion':
-                    this.createExplosionSound(volume);
-                    break;
-                case 'enemyDeath':
-                    this.createEnemyDeathSound(volume);
-                    break;
-                case 'playerHit':
-                    this.createPlayerHitSound(volume);
-                    break;
-                case 'levelUp':
-                    this.createLevelUpSound(volume);
-                    break;
-                case 'powerup':
-                    this.createPowerUpSound(volume);
-                    break;
-                default:
-                    console.warn(`AudioManager: Unknown sound: ${soundKey}`);
+            if (config.duck) {
+                this.duckMusic();
             }
             
-            console.log(`AudioManager: Playing procedural sound: ${soundKey}`);
+            this.startVoice(soundKey, {
+                volume: volume,
+                bus: bus,
+                pan: this.getPan(config.x)
+            });
         } catch (error) {
             console.warn(`AudioManager: Failed to play sound: ${soundKey}`, error);
         }
     }
     
-    playShoot() {
-        this.play('shoot', { volume: 0.6 });
+    playShoot(x) {
+        this.play('shoot', { volume: 0.6, x: x });
     }
     
-    playExplosion() {
-        this.play('explosion', { volume: 0.8 });
+    playExplosion(x) {
+        this.play('explosion', { volume: 0.8, x: x, duck: true });
     }
     
-    playEnemyDeath() {
-        this.play('enemyDeath', { volume: 0.7 });
+    playEnemyDeath(x) {
+        this.play('enemyDeath', { volume: 0.7, x: x });
     }
     
-    playPlayerHit() {
-        this.play('playerHit', { volume: 0.9 });
+    playPlayerHit(x) {
+        this.play('playerHit', { volume: 0.9, x: x, duck: true });
     }
     
     playLevelUp() {
         this.play('levelUp', { volume: 0.8 });
     }
     
-    playPowerUp() {
-        this.play('powerup', { volume: 0.7 });
+    playPowerUp(x) {
+        this.play('powerup', { volume: 0.7, x: x });
     }
     
-    setVolume(volume) {
-        this.volume = Math.max(0, Math.min(1, volume));
-        console.log(`AudioManager: Volume set to ${this.volume}`);
+    playUiMove() {
+        this.play('uiMove', { volume: 0.5, bus: 'ui' });
     }
     
-    setMusicVolume(volume) {
-        this.musicVolume = Math.max(0, Math.min(1, volume));
-        console.log(`AudioManager: Music volume set to ${this.musicVolume}`);
+    playUiSelect() {
+        this.play('uiSelect', { volume: 0.6, bus: 'ui' });
     }
     
-    enable() {
-        this.enabled = true;
-        console.log('AudioManager: Audio enabled');
+    // Sounds from the left of the ring come from the left speaker; no position means dead center
+    getPan(x) {
+        if (x === undefined || x === null) return 0;
+        
+        return Phaser.Math.Clamp((x - GameConfig.centerX) / GameConfig.centerX, -1, 1) * GameConfig.audio.panWidth;
     }
     
-    disable() {
-        this.enabled = false;
-        console.log('AudioManager: Audio disabled');
+    /**
+     * Play a track from GameConfig.assets.music; a track that's already playing carries on at normal tempo
+     * @param {string} key - Track key
+     */
+    playMusic(key) {
+        if (!this.music) return;
+        
+        const track = this.getTrack(key);
+        if (!track) return;
+        
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        
+        this.music.play(key, track);
     }
     
-    isEnabled() {
-        return this.enabled;
+    stopMusic() {
+        if (this.music) {
+            this.music.stop();
+        }
     }
     
-    // Procedural sound generation methods
-    createShootSound(volume = 0.6) {
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        oscillator.frequency.setValueAtTime(800, this.audioContext.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(400, this.audioContext.currentTime + 0.1);
-        
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.1);
-        
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + 0.1);
+    pauseMusic() {
+        if (this.music) {
+            this.music.pause();
+        }
     }
     
-    createExplosionSound(volume = 0.8) {
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        oscillator.frequency.setValueAtTime(200, this.audioContext.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(50, this.audioContext.currentTime + 0.3);
-        
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
-        
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + 0.3);
+    resumeMusic() {
+        if (this.music) {
+            this.music.resume();
+        }
     }
     
-    createEnemyDeathSound(volume = 0.7) {
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+    // Gradually change the current track's tempo, e.g. speeding up for a boss fight
+    setMusicTempo(scale) {
+        if (this.music) {
+            this.music.rampTempo(scale, GameConfig.music.tempoRamp);
+        }
+    }
+    
+    // Dip the music under a big sound effect, then bring it back up
+    duckMusic() {
+        if (!this.duckGain) return;
         
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        const config = GameConfig.music.duck;
+        const gain = this.duckGain.gain;
+        const now = this.audioContext.currentTime;
         
-        oscillator.frequency.setValueAtTime(300, this.audioContext.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(100, this.audioContext.currentTime + 0.2);
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(config.level, now + config.attack);
+        gain.setValueAtTime(config.level, now + config.attack + config.hold);
+        gain.linearRampToValueAtTime(1, now + config.attack + config.hold + config.release);
+    }
+    
+    getTrack(key) {
+        const data = this.scene.cache.json.get(key);
+        const errors = data ? MusicSequencer.validate(data) : ['track file missing or not valid JSON'];
         
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
+        if (errors.length > 0) {
+            // Report each broken file once rather than every stage it's meant for
+            if (!this.reportedTracks.has(key)) {
+                this.reportedTracks.add(key);
+                window.gameErrorHandler.handleError('Music Validation Failed', `Track "${key}" is malformed`, {
+                    trackKey: key,
+                    path: GameConfig.assets.music[key],
+                    errors: errors
+                });
+            }
+            return null;
+        }
         
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + 0.2);
+        return data;
     }
     
-    createPlayerHitSound(volume = 0.9) {
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+    /**
+     * Decoded recording of a sound, if GameConfig.assets.audio lists one and it loaded
+     * @param {string} key - Sound key
+     * @returns {AudioBuffer|null} The sample, or null to fall back to the procedural sound
+     */
+    getSample(key) {
+        if (!GameConfig.assets.audio[key] || !this.scene.cache.audio.exists(key)) return null;
         
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        // Without Web Audio, Phaser caches HTML audio elements, which can't go through the mixer
+        const sample = this.scene.cache.audio.get(key);
+        return sample instanceof AudioBuffer ? sample : null;
+    }
+    
+    // Sounds are validated the first time they're played, and a broken one is reported once then skipped
+    getSound(key) {
+        if (!this.checkedSounds.has(key)) {
+            const definition = GameConfig.sounds[key];
+            const errors = SoundSynth.validate(definition);
+            
+            if (errors.length > 0) {
+                window.gameErrorHandler.handleError('Sound Validation Failed', `Sound "${key}" is malformed`, {
+                    soundKey: key,
+                    errors: errors
+                });
+            }
+            this.checkedSounds.set(key, errors.length > 0 ? null : definition);
+        }
         
-        oscillator.frequency.setValueAtTime(150, this.audioContext.currentTime);
-        oscillator.frequency.exponentialRampToValueAtTime(50, this.audioContext.currentTime + 0.4);
+        return this.checkedSounds.get(key);
+    }
+    
+    updateMixer() {
+        if (!this.masterGain) return;
         
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.4);
+        const now = this.audioContext.currentTime;
         
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + 0.4);
+        this.masterGain.gain.setTargetAtTime(this.enabled ? this.masterVolume : 0, now, 0.05);
+        this.buses.sfx.gain.setTargetAtTime(this.volume, now, 0.05);
+        this.buses.music.gain.setTargetAtTime(this.musicVolume, now, 0.05);
+        this.buses.ui.gain.setTargetAtTime(this.uiVolume, now, 0.05);
     }
     
-    createLevelUpSound(volume = 0.8) {
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+    destroy() {
+        if (this.music) {
+            this.music.destroy();
+            this.music = null;
+        }
         
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
+        // Each game scene makes its own context, and browsers only allow a few at once
+        if (this.audioContext && this.audioContext.state !== 'closed') {
+            this.audioContext.close().catch(() => {});
+        }
+    }
+    
+    setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(1, volume));
+        this.updateMixer();
+        console.log(`AudioManager: Master volume set to ${this.masterVolume}`);
+    }
+    
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.updateMixer();
+        console.log(`AudioManager: Volume set to ${this.volume}`);
+    }
+    
+    setMusicVolume(volume) {
+        this.musicVolume = Math.max(0, Math.min(1, volume));
+        this.updateMixer();
+        console.log(`AudioManager: Music volume set to ${this.musicVolume}`);
+    }
+    
+    setUiVolume(volume) {
+        this.uiVolume = Math.max(0, Math.min(1, volume));
+        this.updateMixer();
+        console.log(`AudioManager: UI volume set to ${this.uiVolume}`);
+    }
+    
+    enable() {
+        this.enabled = true;
+        this.updateMixer();
+        console.log('AudioManager: Audio enabled');
+    }
+    
+    disable() {
+        this.enabled = false;
+        this.updateMixer();
+        console.log('AudioManager: Audio disabled');
+    }
+    
+    isEnabled() {
+        return this.enabled;
+    }
+    
+    /**
+     * Start one sound on its bus, dropping the oldest copy of it if it's at its voice limit
+     * @param {string} soundKey - Sound being played
+     * @param {Object} config - volume, bus and pan from play()
+     */
+    startVoice(soundKey, config) {
+        const sample = this.getSample(soundKey);
+        const definition = sample ? null : this.getSound(soundKey);
+        if (!sample && !definition) return;
         
-        oscillator.frequency.setValueAtTime(400, this.audioContext.currentTime);
-        oscillator.frequency.linearRampToValueAtTime(800, this.audioContext.currentTime + 0.3);
-        oscillator.frequency.linearRampToValueAtTime(1200, this.audioContext.currentTime + 0.6);
+        this.limitVoices(soundKey, this.audioContext.currentTime);
         
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.6);
+        const output = this.buses[config.bus];
+        const options = {
+            volume: config.volume,
+            pan: config.pan,
+            random: () => window.gameRandom.effects.frac()
+        };
+        const voice = sample ?
+            SoundSynth.playBuffer(this.audioContext, sample, output, options) :
+            SoundSynth.play(this.audioContext, definition, output, options);
         
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + 0.6);
+        this.voices[soundKey].push(voice);
+        console.log(`AudioManager: Playing ${sample ? 'recorded' : 'procedural'} sound: ${soundKey}`);
     }
     
-    createPowerUpSound(volume = 0.7) {
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
-        
-        oscillator.connect(gainNode);
-        gainNode.connect(this.audioContext.destination);
-        
-        oscillator.frequency.setValueAtTime(400, this.audioContext.currentTime);
-        oscillator.frequency.linearRampToValueAtTime(800, this.audioContext.currentTime + 0.2);
+    // Rapid fire would otherwise stack dozens of sounds, so the oldest ones are faded out early
+    limitVoices(soundKey, now) {
+        const config = GameConfig.audio;
+        const limit = config.voiceLimits[soundKey] || config.defaultVoiceLimit;
+        const voices = (this.voices[soundKey] || []).filter(voice => voice.endTime > now);
         
-        gainNode.gain.setValueAtTime(volume, this.audioContext.currentTime);
-        gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.2);
+        while (voices.length >= limit) {
+            const oldest = voices.shift();
+            
+            oldest.gain.gain.cancelScheduledValues(now);
+            oldest.gain.gain.setValueAtTime(oldest.gain.gain.value, now);
+            oldest.gain.gain.linearRampToValueAtTime(0, now + config.stealFade);
+            oldest.sources.forEach(source => source.stop(now + config.stealFade));
+        }
         
-        oscillator.start(this.audioContext.currentTime);
-        oscillator.stop(this.audioContext.currentTime + 0.2);
+        this.voices[soundKey] = voices;
     }
 }
 
@@ -0,0 +1,308 @@
+/**
+ * Boss Class
+ * A multi-part end-of-planet guardian with phased attack patterns
+ */
+
+class Boss {
+    /**
+     * Create a new boss at the far end of the tube
+     * @param {Phaser.Scene} scene - The scene this boss belongs to
+     * @param {Phaser.Physics.Arcade.Group} parts - Physics group that holds every hittable part
+     * @param {object} options - Name and health for this encounter
+     */
+    constructor(scene, parts, options) {
+        this.scene = scene;
+        this.parts = parts;
+        this.name = options.name;
+        this.maxHealth = options.health;
+        this.health = options.health;
+        
+        this.state = 'entering'; // entering, fighting, defeated
+        this.phaseIndex = 0;
+        this.core = null;
+        this.turrets = [];
+        this.orbitAngle = 0;
+        this.attackTimer = null;
+        this.laser = null;
+        this.laserGraphics = scene.add.graphics();
+        
+        this.createParts();
+        this.playEntrance();
+    }
+    
+    /**
+     * Create the core and its orbiting turrets, each with its own hitbox
+     */
+    createParts() {
+        const config = GameConfig.boss;
+        
+        this.core = this.parts.create(GameConfig.centerX, GameConfig.centerY, 'bossCore');
+        this.core.bossPart = 'core';
+        this.core.body.setCircle(60, 4, 4);
+        
+        for (let i = 0; i < config.turretCount; i++) {
+            const turret = this.parts.create(GameConfig.centerX, GameConfig.centerY, 'bossTurret');
+            turret.bossPart = 'turret';
+            turret.health = config.turretHealth;
+            turret.orbitOffset = (i / config.turretCount) * Math.PI * 2;
+            turret.body.setCircle(12);
+            this.turrets.push(turret);
+        }
+        
+        this.updateTurretPositions();
+    }
+    
+    /**
+     * Grow out of the vanishing point, then start attacking
+     */
+    playEntrance() {
+        const targets = [this.core, ...this.turrets];
+        targets.forEach(part => part.setScale(0));
+        
+        this.scene.simClock.addTween({
+            targets: targets,
+            scale: 1,
+            duration: GameConfig.boss.entranceDuration,
+            ease: 'Back.easeOut',
+            onComplete: () => {
+                if (this.state !== 'entering') return;
+                this.state = 'fighting';
+                this.startAttacks();
+            }
+        });
+    }
+    
+    /**
+     * Get the attack definition for the current phase
+     * @returns {object} Phase configuration
+     */
+    getPhase() {
+        return GameConfig.boss.phases[this.phaseIndex];
+    }
+    
+    startAttacks() {
+        if (this.attackTimer) {
+            this.attackTimer.remove();
+        }
+        
+        this.attackTimer = this.scene.simClock.addEvent({
+            delay: this.getPhase().attackInterval,
+            callback: () => this.performAttack(),
+            loop: true
+        });
+    }
+    
+    performAttack() {
+        if (this.state !== 'fighting' || this.scene.player.isDead()) return;
+        
+        const phase = this.getPhase();
+        
+        phase.attacks.forEach((attack) => {
+            switch (attack) {
+                case 'ring':
+                    this.fireRing(phase.ringBullets);
+                    break;
+                case 'laser':
+                    this.startLaser();
+                    break;
+                case 'turrets':
+                    this.fireTurrets();
+                    break;
+            }
+        });
+    }
+    
+    /**
+     * Fire a ring of bullets outward from the core along every tube axis
+     * @param {number} count - Number of bullets in the ring
+     */
+    fireRing(count) {
+        const offset = window.gameRandom.gameplay.realInRange(0, Math.PI * 2);
+        
+        for (let i = 0; i < count; i++) {
+            const angle = offset + (i / count) * Math.PI * 2;
+            
+            this.scene.enemyManager.fireEnemyBullet({
+                x: GameConfig.centerX + Math.cos(angle) * 64,
+                y: GameConfig.centerY + Math.sin(angle) * 64
+            });
+        }
+    }
+    
+    fireTurrets() {
+        this.turrets.forEach((turret) => {
+            if (turret.active) {
+                this.scene.enemyManager.fireEnemyBullet(turret);
+            }
+        });
+    }
+    
+    /**
+     * Start a laser that warns first, then sweeps around the tube
+     */
+    startLaser() {
+        if (this.laser) return;
+        
+        // Start a quarter turn away from the player so there is time to react
+        const direction = window.gameRandom.gameplay.sign();
+        
+        this.laser = {
+            angle: this.scene.player.angle - direction * Math.PI / 2,
+            direction: direction,
+            elapsed: 0
+        };
+    }
+    
+    /**
+     * Update turret orbits and any active laser
+     * @param {number} delta - Time since the last update in ms
+     */
+    update(delta) {
+        if (this.state === 'defeated') return;
+        
+        this.orbitAngle += GameConfig.boss.turretOrbitSpeed * delta / 1000;
+        this.updateTurretPositions();
+        this.updateLaser(delta);
+    }
+    
+    updateTurretPositions() {
+        this.turrets.forEach((turret) => {
+            if (!turret.active) return;
+            
+            const angle = this.orbitAngle + turret.orbitOffset;
+            turret.x = GameConfig.centerX + Math.cos(angle) * GameConfig.boss.turretOrbitRadius;
+            turret.y = GameConfig.centerY + Math.sin(angle) * GameConfig.boss.turretOrbitRadius;
+            turret.rotation = angle + Math.PI / 2;
+        });
+    }
+    
+    updateLaser(delta) {
+        this.laserGraphics.clear();
+        if (!this.laser) return;
+        
+        const config = GameConfig.boss.laser;
+        const laser = this.laser;
+        laser.elapsed += delta;
+        
+        if (laser.elapsed >= config.warningDuration + config.activeDuration) {
+            this.laser = null;
+            return;
+        }
+        
+        const active = laser.elapsed >= config.warningDuration;
+        if (active) {
+            laser.angle += laser.direction * config.sweepSpeed * delta / 1000;
+        }
+        
+        const innerRadius = 64;
+        const outerRadius = GameConfig.playerRadius + 60;
+        
+        if (active) {
+            this.laserGraphics.lineStyle(10, 0x00ffff, 0.9);
+        } else {
+            this.laserGraphics.lineStyle(2, 0xff0000, 0.5);
+        }
+        
+        this.laserGraphics.lineBetween(
+            GameConfig.centerX + Math.cos(laser.angle) * innerRadius,
+            GameConfig.centerY + Math.sin(laser.angle) * innerRadius,
+            GameConfig.centerX + Math.cos(laser.angle) * outerRadius,
+            GameConfig.centerY + Math.sin(laser.angle) * outerRadius
+        );
+        
+        // The beam runs the length of the tube, so only the player's angle matters
+        if (active && Math.abs(Phaser.Math.Angle.Wrap(this.scene.player.angle - laser.angle)) < config.halfWidth) {
+            const sprite = this.scene.player.getSprite();
+            this.scene.collisionManager.damagePlayer(sprite.x, sprite.y);
+        }
+    }
+    
+    /**
+     * Apply damage to one of the boss parts
+     * @param {Phaser.GameObjects.Sprite} part - The part that was hit
+     * @param {number} damage - Amount of damage to take
+     * @returns {string|null} 'turret' or 'core' if that part was destroyed, otherwise null
+     */
+    takeDamage(part, damage = 1) {
+        if (this.state !== 'fighting') return null;
+        
+        this.flashPart(part);
+        
+        if (part.bossPart === 'turret') {
+            part.health -= damage;
+            
+            if (part.health <= 0) {
+                this.turrets = this.turrets.filter(turret => turret !== part);
+                part.destroy();
+                return 'turret';
+            }
+            return null;
+        }
+        
+        this.health = Math.max(0, this.health - damage);
+        
+        if (this.health <= 0) {
+            this.state = 'defeated';
+            return 'core';
+        }
+        
+        this.checkPhase();
+        return null;
+    }
+    
+    flashPart(part) {
+        part.setTintFill(0xffffff);
+        this.scene.time.delayedCall(60, () => {
+            if (part.active) part.clearTint();
+        });
+    }
+    
+    /**
+     * Move to a later phase once health drops below its threshold
+     */
+    checkPhase() {
+        const fraction = this.health / this.maxHealth;
+        const phases = GameConfig.boss.phases;
+        let nextPhase = this.phaseIndex;
+        
+        while (nextPhase + 1 < phases.length && fraction <= phases[nextPhase + 1].below) {
+            nextPhase++;
+        }
+        
+        if (nextPhase === this.phaseIndex) return;
+        
+        this.phaseIndex = nextPhase;
+        console.log(`Boss: Entering phase ${nextPhase + 1}`);
+        
+        this.scene.feedbackManager.flash(0xff00ff, 250);
+        this.startAttacks();
+    }
+    
+    getHealthFraction() {
+        return this.health / this.maxHealth;
+    }
+    
+    getParts() {
+        return [this.core, ...this.turrets].filter(part => part && part.active);
+    }
+    
+    destroy() {
+        this.state = 'defeated';
+        
+        if (this.attackTimer) {
+            this.attackTimer.remove();
+            this.attackTimer = null;
+        }
+        
+        this.laser = null;
+        this.laserGraphics.destroy();
+        this.getParts().forEach(part => {
+            this.scene.simClock.killTweensOf(part);
+            part.destroy();
+        });
+        this.turrets = [];
+        this.core = null;
+    }
+}
+
+window.Boss = Boss; 
\ No newline at end of file
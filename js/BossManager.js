@@ -0,0 +1,186 @@
+/**
+ * Boss Manager Class
+ * Spawns end-of-planet bosses, tracks their health bar and pays out on defeat
+ */
+
+class BossManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.parts = scene.physics.add.group();
+        this.boss = null;
+        this.onDefeated = null;
+        
+        // Health bar UI
+        this.healthBarBg = null;
+        this.healthBarFill = null;
+        this.healthBarText = null;
+        
+        this.createTextures();
+        this.createHealthBar();
+    }
+    
+    createTextures() {
+        try {
+            // Core: armoured ring around a glowing eye
+            const coreGraphics = this.scene.add.graphics();
+            coreGraphics.fillStyle(0x880088);
+            coreGraphics.fillCircle(64, 64, 56);
+            coreGraphics.lineStyle(6, 0xff00ff);
+            coreGraphics.strokeCircle(64, 64, 52);
+            coreGraphics.fillStyle(0xffffff);
+            coreGraphics.fillCircle(64, 64, 16);
+            coreGraphics.generateTexture('bossCore', 128, 128);
+            coreGraphics.destroy();
+            
+            // Turret
+            const turretGraphics = this.scene.add.graphics();
+            turretGraphics.fillStyle(0xff8800);
+            turretGraphics.fillCircle(12, 12, 11);
+            turretGraphics.fillStyle(0xffff00);
+            turretGraphics.fillCircle(12, 12, 4);
+            turretGraphics.generateTexture('bossTurret', 24, 24);
+            turretGraphics.destroy();
+            
+            console.log('BossManager: Boss textures created');
+        } catch (error) {
+            console.error('BossManager: Error creating boss textures:', error);
+        }
+    }
+    
+    createHealthBar() {
+        const width = GameConfig.boss.healthBarWidth;
+        
+        this.healthBarText = this.scene.add.text(GameConfig.centerX, 14, '', {
+            fontSize: '14px',
+            fill: '#ff00ff',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        this.healthBarBg = this.scene.add.rectangle(GameConfig.centerX, 34, width, 12, 0x333333)
+            .setOrigin(0.5);
+        
+        this.healthBarFill = this.scene.add.rectangle(GameConfig.centerX - width / 2, 34, width, 12, 0xff00ff)
+            .setOrigin(0, 0.5);
+        
+        this.setHealthBarVisible(false);
+    }
+    
+    setHealthBarVisible(visible) {
+        this.healthBarText.setVisible(visible);
+        this.healthBarBg.setVisible(visible);
+        this.healthBarFill.setVisible(visible);
+    }
+    
+    updateHealthBar() {
+        if (!this.boss) return;
+        
+        this.healthBarFill.width = GameConfig.boss.healthBarWidth * this.boss.getHealthFraction();
+    }
+    
+    /**
+     * Start a boss encounter
+     * @param {CampaignState} campaign - Campaign progress, used to scale the boss
+     * @param {function} onDefeated - Called with the bonus awarded once the boss is destroyed
+     */
+    startBoss(campaign, onDefeated) {
+        if (this.boss) {
+            this.boss.destroy();
+        }
+        
+        const config = GameConfig.boss;
+        const destination = campaign.getDestination() || campaign.getCurrentPlanet();
+        const toughness = campaign.planetIndex + (campaign.loop - 1) * GameConfig.campaign.planets.length;
+        
+        this.onDefeated = onDefeated;
+        this.boss = new Boss(this.scene, this.parts, {
+            name: `${destination.name.toUpperCase()} GUARDIAN`,
+            health: config.coreHealth + config.healthPerPlanet * toughness
+        });
+        
+        this.healthBarText.setText(this.boss.name);
+        this.updateHealthBar();
+        this.setHealthBarVisible(true);
+        
+        console.log(`BossManager: ${this.boss.name} spawned with ${this.boss.maxHealth} health`);
+    }
+    
+    /**
+     * Handle a player bullet hitting any boss part
+     * @param {Phaser.GameObjects.Sprite} bullet - The player bullet
+     * @param {Phaser.GameObjects.Sprite} part - The boss part that was hit
+     */
+    hitPart(bullet, part) {
+        if (!bullet.active) return;
+        
+        this.scene.bulletManager.releaseBullet(bullet);
+        if (!this.boss) return;
+        
+        const destroyed = this.boss.takeDamage(part, 1);
+        this.updateHealthBar();
+        
+        if (destroyed === 'turret') {
+            this.scene.effectsManager.createExplosionEffect(part.x, part.y);
+            this.scene.score += GameConfig.boss.turretPoints;
+            this.scene.updateScore();
+            
+            if (this.scene.audioManager) {
+                this.scene.audioManager.playEnemyDeath(part.x);
+            }
+        } else if (destroyed === 'core') {
+            this.defeatBoss();
+        }
+    }
+    
+    defeatBoss() {
+        const bonus = GameConfig.boss.defeatBonus;
+        
+        // Blow up every remaining part
+        this.boss.getParts().forEach(part => {
+            this.scene.effectsManager.createExplosionEffect(part.x, part.y);
+        });
+        
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playExplosion();
+        }
+        
+        this.scene.feedbackManager.bossDefeated();
+        
+        this.boss.destroy();
+        this.boss = null;
+        this.setHealthBarVisible(false);
+        
+        this.scene.score += bonus;
+        this.scene.updateScore();
+        
+        const onDefeated = this.onDefeated;
+        this.onDefeated = null;
+        if (onDefeated) onDefeated(bonus);
+    }
+    
+    update(delta) {
+        if (this.boss) {
+            this.boss.update(delta);
+        }
+    }
+    
+    isActive() {
+        return this.boss !== null;
+    }
+    
+    getParts() {
+        return this.parts;
+    }
+    
+    reset() {
+        if (this.boss) {
+            this.boss.destroy();
+            this.boss = null;
+        }
+        
+        this.onDefeated = null;
+        this.setHealthBarVisible(false);
+    }
+}
+
+window.BossManager = BossManager; 
\ No newline at end of file
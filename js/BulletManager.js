@@ -6,8 +6,8 @@
 class BulletManager {
     constructor(scene) {
         this.scene = scene;
-        this.playerBullets = scene.physics.add.group();
-        this.enemyBullets = scene.physics.add.group();
+        this.playerBullets = scene.physics.add.group({ maxSize: GameConfig.pools.playerBullets });
+        this.enemyBullets = scene.physics.add.group({ maxSize: GameConfig.pools.enemyBullets });
         
         this.createBullets();
     }
@@ -18,7 +18,7 @@ class BulletManager {
             // Create player bullet texture
             const playerBulletGraphics = this.scene.add.graphics();
             playerBulletGraphics.fillStyle(0x00ff00);
-            playerBulletGraphics.fillCircle(0, 0, 3);
+            playerBulletGraphics.fillCircle(4, 4, 3);
             playerBulletGraphics.generateTexture('playerBullet', 8, 8);
             playerBulletGraphics.destroy();
             console.log('Player bullet texture created');
@@ -26,7 +26,7 @@ class BulletManager {
             // Create enemy bullet texture
             const enemyBulletGraphics = this.scene.add.graphics();
             enemyBulletGraphics.fillStyle(0xff0000);
-            enemyBulletGraphics.fillCircle(0, 0, 3);
+            enemyBulletGraphics.fillCircle(4, 4, 3);
             enemyBulletGraphics.generateTexture('enemyBullet', 8, 8);
             enemyBulletGraphics.destroy();
             console.log('Enemy bullet texture created');
@@ -35,51 +35,98 @@ class BulletManager {
         }
     }
     
-    update() {
+    /**
+     * Fire a player bullet from the player's circle down the tube
+     * @param {number} angle - Tube angle to fire along
+     * @returns {Phaser.Physics.Arcade.Sprite|null} The bullet, or null if the pool is used up
+     */
+    firePlayerBullet(angle) {
+        return this.createBullet(this.playerBullets, 'playerBullet', angle, 1, -GameConfig.playerBulletSpeed, GameConfig.playerBulletScale);
+    }
+    
+    /**
+     * Fire an enemy bullet out of the tube toward the player's circle
+     * @param {number} angle - Tube angle to fire along
+     * @param {number} depth - Depth the bullet starts at
+     * @returns {Phaser.Physics.Arcade.Sprite|null} The bullet, or null if the pool is used up
+     */
+    fireEnemyBullet(angle, depth) {
+        return this.createBullet(this.enemyBullets, 'enemyBullet', angle, depth, GameConfig.enemyBulletSpeed, GameConfig.enemyBulletScale);
+    }
+    
+    createBullet(group, texture, angle, depth, depthSpeed, baseScale) {
+        const point = Tube.project(angle, depth);
+        const bullet = group.get(point.x, point.y, texture);
+        if (!bullet) return null;
+        
+        // Recycled bullets come back with their body switched off
+        bullet.enableBody(true, point.x, point.y, true, true);
+        
+        // Bullets only travel along the tube axis, shrinking as they recede
+        bullet.depthSpeed = depthSpeed;
+        bullet.rotation = angle;
+        
+        return Tube.place(bullet, angle, depth, baseScale);
+    }
+    
+    update(delta) {
+        this.playerBullets.getMatching('active', true).forEach(bullet => Tube.move(bullet, delta));
+        this.enemyBullets.getMatching('active', true).forEach(bullet => Tube.move(bullet, delta));
+        
         this.cleanupPlayerBullets();
         this.cleanupEnemyBullets();
     }
     
     cleanupPlayerBullets() {
-        this.playerBullets.children.entries.forEach((bullet) => {
-            // Check if bullet has traveled too far from center (tube boundary)
-            const distanceFromCenter = Math.sqrt(
-                Math.pow(bullet.x - GameConfig.centerX, 2) + 
-                Math.pow(bullet.y - GameConfig.centerY, 2)
-            );
-            
-            if (distanceFromCenter < GameConfig.playerBulletCleanupDistance) { // Bullet reached center
-                bullet.destroy();
+        this.playerBullets.getMatching('active', true).forEach((bullet) => {
+            // Bullet reached the vanishing point
+            if (bullet.tubeDepth < GameConfig.tube.vanishDepth) {
+                this.releaseBullet(bullet);
             }
         });
     }
     
     cleanupEnemyBullets() {
-        this.enemyBullets.children.entries.forEach((bullet) => {
-            // Check if bullet has traveled too far along tube axis (from center outward)
-            const distanceFromCenter = Math.sqrt(
-                Math.pow(bullet.x - GameConfig.centerX, 2) + 
-                Math.pow(bullet.y - GameConfig.centerY, 2)
-            );
-            
-            // Destroy bullet if it goes beyond the player's circle radius
-            if (distanceFromCenter > GameConfig.playerRadius + GameConfig.enemyBulletCleanupDistance) {
-                bullet.destroy();
+        this.enemyBullets.getMatching('active', true).forEach((bullet) => {
+            // Bullet flew out past the player's circle
+            if (bullet.tubeDepth > GameConfig.tube.exitDepth) {
+                this.releaseBullet(bullet);
             }
         });
     }
     
+    // Return a bullet that hit something or left the tube to its pool
+    releaseBullet(bullet) {
+        const group = this.playerBullets.contains(bullet) ? this.playerBullets : this.enemyBullets;
+        Pools.release(group, bullet);
+    }
+    
+    clearEnemyBullets() {
+        Pools.releaseAll(this.enemyBullets);
+    }
+    
+    getPoolStats() {
+        return {
+            playerBullets: Pools.stats(this.playerBullets),
+            enemyBullets: Pools.stats(this.enemyBullets)
+        };
+    }
+    
     getPlayerBullets() {
         return this.playerBullets;
     }
     
+    getPlayerBulletCount() {
+        return this.playerBullets.countActive(true);
+    }
+    
     getEnemyBullets() {
         return this.enemyBullets;
     }
     
     reset() {
-        this.playerBullets.clear(true, true);
-        this.enemyBullets.clear(true, true);
+        Pools.releaseAll(this.playerBullets);
+        Pools.releaseAll(this.enemyBullets);
     }
 }
 
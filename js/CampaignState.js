@@ -0,0 +1,85 @@
+/**
+ * Campaign State Class
+ * Tracks the warp-to-Earth journey across planets and is handed between scenes
+ */
+
+class CampaignState {
+    constructor(data = {}) {
+        this.planetIndex = data.planetIndex || 0;
+        this.warpsRemaining = data.warpsRemaining || GameConfig.campaign.warpsPerPlanet;
+        this.inChanceStage = data.inChanceStage || false;
+        this.chanceStagesPlayed = data.chanceStagesPlayed || 0;
+        this.loop = data.loop || 1;
+    }
+    
+    getPlanets() {
+        return GameConfig.campaign.planets;
+    }
+    
+    // Planet the player is currently flying away from
+    getCurrentPlanet() {
+        return this.getPlanets()[this.planetIndex];
+    }
+    
+    // Planet the player is warping toward
+    getDestination() {
+        return this.getPlanets()[this.planetIndex + 1];
+    }
+    
+    getPalette() {
+        return this.getCurrentPlanet().palette;
+    }
+    
+    isChanceStage() {
+        return this.inChanceStage;
+    }
+    
+    // The last warp before each planet ends with a boss
+    isFinalWarp() {
+        return !this.inChanceStage && this.warpsRemaining === 1;
+    }
+    
+    getWarpLabel() {
+        const warps = this.warpsRemaining;
+        return `${warps} WARP${warps === 1 ? '' : 'S'} TO ${this.getDestination().name.toUpperCase()}`;
+    }
+    
+    /**
+     * Record a cleared warp stage
+     * @returns {boolean} True if the player has arrived at the next planet
+     */
+    completeWarp() {
+        this.warpsRemaining--;
+        
+        if (this.warpsRemaining > 0) return false;
+        
+        this.planetIndex++;
+        this.inChanceStage = true;
+        return true;
+    }
+    
+    // Leaving a planet after its chance stage starts the next leg of the journey
+    completeChanceStage() {
+        this.inChanceStage = false;
+        this.chanceStagesPlayed++;
+        this.warpsRemaining = GameConfig.campaign.warpsPerPlanet;
+        
+        // Reaching Earth sends the player round the solar system again
+        if (this.planetIndex >= this.getPlanets().length - 1) {
+            this.planetIndex = 0;
+            this.loop++;
+        }
+    }
+    
+    toJSON() {
+        return {
+            planetIndex: this.planetIndex,
+            warpsRemaining: this.warpsRemaining,
+            inChanceStage: this.inChanceStage,
+            chanceStagesPlayed: this.chanceStagesPlayed,
+            loop: this.loop
+        };
+    }
+}
+
+window.CampaignState = CampaignState; 
\ No newline at end of file
@@ -8,116 +8,231 @@ class CollisionManager {
         this.scene = scene;
         this.player = player;
         this.bulletManager = bulletManager;
+        this.debugGraphics = null;
+        this.colliders = [];
         
         this.setupCollisions();
     }
     
     setupCollisions() {
+        // Arcade bodies find the candidates, the shapes from GameConfig.collisionShapes decide the hit
+        const shapesOverlap = (a, b) => Hitboxes.overlaps(a, b);
+        
+        // The world would otherwise test these on its own frame-time steps; update() runs them every simulation tick instead
+        this.scene.physics.world.pause();
+        
         // Player bullets hitting enemies
-        this.scene.physics.add.overlap(
+        this.colliders.push(this.scene.physics.add.overlap(
             this.bulletManager.getPlayerBullets(),
             this.scene.enemyManager.getEnemies(),
             this.hitEnemy.bind(this),
-            null,
+            shapesOverlap,
             this
-        );
+        ));
         
         // Enemy bullets hitting player
-        this.scene.physics.add.overlap(
+        this.colliders.push(this.scene.physics.add.overlap(
             this.bulletManager.getEnemyBullets(),
             this.player.getSprite(),
             this.hitPlayer.bind(this),
-            null,
+            shapesOverlap,
+            this
+        ));
+        
+        // Player collecting power-ups
+        this.colliders.push(this.scene.physics.add.overlap(
+            this.scene.powerUpManager.getPickups(),
+            this.player.getSprite(),
+            this.collectPowerUp.bind(this),
+            shapesOverlap,
+            this
+        ));
+        
+        // Player bullets hitting boss parts
+        this.colliders.push(this.scene.physics.add.overlap(
+            this.bulletManager.getPlayerBullets(),
+            this.scene.bossManager.getParts(),
+            this.hitBossPart.bind(this),
+            shapesOverlap,
             this
-        );
+        ));
+        
+        // Enemy ships diving into the player on attack runs
+        this.colliders.push(this.scene.physics.add.overlap(
+            this.scene.enemyManager.getEnemies(),
+            this.player.getSprite(),
+            this.hitPlayer.bind(this),
+            shapesOverlap,
+            this
+        ));
+    }
+    
+    /**
+     * Test every overlap for one simulation tick, so a replay lands each hit on the tick it landed on live
+     */
+    update() {
+        const world = this.scene.physics.world;
+        const bodies = world.bodies.entries;
+        
+        // Everything moves by position rather than velocity, so bring each body to its sprite first
+        bodies.forEach((body) => {
+            if (body.enable) body.updateFromGameObject();
+        });
+        
+        // Overlap queries search the world's tree, which only its own (paused) steps rebuild
+        world.tree.clear();
+        world.tree.load(bodies);
+        
+        this.colliders.forEach(collider => collider.update());
     }
     
     hitEnemy(bullet, enemy) {
         try {
+            // Either may have been recycled by an earlier overlap this step
+            if (!bullet.active || !enemy.active) return;
+            
+            this.bulletManager.releaseBullet(bullet);
+            
+            // Score depends on whether the ship was moving or holding formation
+            const points = enemy.getScoreValue();
+            const x = enemy.x;
+            const y = enemy.y;
+            
+            if (!enemy.takeDamage(1)) return;
+            
             // Create explosion effect
-            this.scene.effectsManager.createExplosionEffect(enemy.x, enemy.y);
+            this.scene.effectsManager.createExplosionEffect(x, y);
             
             // Play enemy death sound
             if (this.scene.audioManager) {
-                this.scene.audioManager.playEnemyDeath();
+                this.scene.audioManager.playEnemyDeath(x);
             }
             
-            bullet.destroy();
-            enemy.destroy();
+            // Brief shake and hit-stop sell the kill
+            this.scene.feedbackManager.enemyKilled();
             
-            this.scene.score += 100;
+            this.scene.score += points;
             this.scene.updateScore();
             
-            // Check for level progression
-            if (this.scene.enemyManager.getEnemyCount() === 0) {
-                this.scene.nextLevel();
-            }
+            this.scene.powerUpManager.rollDrop(x, y);
         } catch (error) {
             console.error('CollisionManager: Error in hitEnemy:', error);
             window.gameErrorHandler.handleSystemError('CollisionManager', error, { phase: 'enemy_hit' });
         }
     }
     
+    hitBossPart(bullet, part) {
+        try {
+            this.scene.bossManager.hitPart(bullet, part);
+        } catch (error) {
+            console.error('CollisionManager: Error in hitBossPart:', error);
+            window.gameErrorHandler.handleSystemError('CollisionManager', error, { phase: 'boss_hit' });
+        }
+    }
+    
     hitPlayer(player, projectile) {
         try {
-            // Check for pixel-perfect collision
-            if (this.checkPixelCollision(player, projectile)) {
-                // Create explosion effect
-                this.scene.effectsManager.createExplosionEffect(player.x, player.y);
-                
-                // Play explosion sound
-                if (this.scene.audioManager) {
-                    this.scene.audioManager.playExplosion();
-                }
-                
-                if (projectile.destroy) {
-                    projectile.destroy();
-                }
-                
-                const isDead = this.player.takeDamage();
-                this.scene.updateLives();
-                
-                if (isDead) {
-                    this.scene.gameOver();
-                }
+            if (!projectile.active) return;
+            
+            // Ramming ships go back to their pool just like bullets
+            if (projectile instanceof EnemyShip) {
+                projectile.despawn();
+            } else {
+                this.bulletManager.releaseBullet(projectile);
             }
+            
+            this.damagePlayer(player.x, player.y);
         } catch (error) {
             console.error('CollisionManager: Error in hitPlayer:', error);
             window.gameErrorHandler.handleSystemError('CollisionManager', error, { phase: 'player_hit' });
         }
     }
     
-    checkPixelCollision(player, projectile) {
-        try {
-            // Get the player's world position and bounds
-            const playerBounds = player.getBounds();
-            
-            // Get the projectile's position
-            const projX = Math.floor(projectile.x);
-            const projY = Math.floor(projectile.y);
+    // Shared by projectiles, rams and beams that hit the player
+    damagePlayer(x, y) {
+        if (this.player.isInvulnerable || this.player.godMode || this.player.isDead()) return;
+        
+        // Create explosion effect
+        this.scene.effectsManager.createExplosionEffect(x, y);
+        
+        // Play explosion sound
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playExplosion(x);
+        }
+        
+        const livesBefore = this.player.getLives();
+        const isDead = this.player.takeDamage();
+        this.scene.updateLives();
+        
+        // Only a hit that costs a life shakes the screen (not one the shield soaks up)
+        if (this.player.getLives() < livesBefore) {
+            this.scene.feedbackManager.playerHit(this.player.sprite);
             
-            // Check if projectile is within player bounds
-            if (projX < playerBounds.x || projX >= playerBounds.x + playerBounds.width ||
-                projY < playerBounds.y || projY >= playerBounds.y + playerBounds.height) {
-                return false;
+            if (this.scene.gamepadController) {
+                this.scene.gamepadController.rumble();
             }
+        }
+        
+        if (isDead) {
+            this.scene.gameOver();
+        }
+    }
+    
+    collectPowerUp(player, pickup) {
+        try {
+            if (this.player.isDead()) return;
             
-            // Calculate distance from projectile to player center
-            const distanceToCenter = Math.sqrt(
-                Math.pow(projX - player.x, 2) + Math.pow(projY - player.y, 2)
-            );
-            
-            // Use a smaller collision radius for more precise collision
-            // This creates a circular collision area instead of rectangular
-            const collisionRadius = Math.min(playerBounds.width, playerBounds.height) * 0.4;
-            
-            return distanceToCenter <= collisionRadius;
+            this.scene.powerUpManager.collect(pickup);
         } catch (error) {
-            console.error('CollisionManager: Error in checkPixelCollision:', error);
-            window.gameErrorHandler.handleSystemError('CollisionManager', error, { phase: 'pixel_collision_check' });
-            return false;
+            console.error('CollisionManager: Error in collectPowerUp:', error);
+            window.gameErrorHandler.handleSystemError('CollisionManager', error, { phase: 'power_up_collect' });
         }
     }
+    
+    setDebugDraw(enabled) {
+        if (enabled && !this.debugGraphics) {
+            this.debugGraphics = this.scene.add.graphics();
+            this.debugGraphics.setDepth(999);
+        }
+        
+        if (this.debugGraphics) {
+            this.debugGraphics.clear();
+            this.debugGraphics.setVisible(enabled);
+        }
+    }
+    
+    isDebugDrawing() {
+        return !!this.debugGraphics && this.debugGraphics.visible;
+    }
+    
+    // Every live body's arcade bounds (grey) and the collision shape that's actually tested (green)
+    drawHitboxes() {
+        if (!this.isDebugDrawing()) return;
+        
+        const graphics = this.debugGraphics;
+        graphics.clear();
+        
+        // The world keeps its bodies in a Phaser Set, which has no forEach of its own
+        this.scene.physics.world.bodies.entries.forEach((body) => {
+            const sprite = body.gameObject;
+            if (!body.enable || !sprite || !sprite.active) return;
+            
+            graphics.lineStyle(1, 0x666666, 1);
+            if (body.isCircle) {
+                graphics.strokeCircle(body.center.x, body.center.y, body.halfWidth);
+            } else {
+                graphics.strokeRect(body.x, body.y, body.width, body.height);
+            }
+            
+            const shape = Hitboxes.getShape(sprite);
+            graphics.lineStyle(1, 0x00ff00, 1);
+            if (shape.type === 'circle') {
+                graphics.strokeCircle(shape.x, shape.y, shape.radius);
+            } else {
+                graphics.strokePoints(shape.points, true, true);
+            }
+        });
+    }
 }
 
 window.CollisionManager = CollisionManager; 
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * Controls Scene Class
+ * Rebind screen for the keyboard controls, opened from the settings screen
+ */
+
+class ControlsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'ControlsScene' });
+        
+        this.returnTo = null;
+        this.entries = [];
+        this.selected = 0;
+        this.slot = 0;
+        this.listening = false;
+        this.message = null;
+    }
+    
+    init(data) {
+        this.returnTo = data.returnTo;
+        this.entries = [];
+        this.selected = 0;
+        this.slot = 0;
+        this.listening = false;
+    }
+    
+    create() {
+        this.add.rectangle(0, 0, GameConfig.width, GameConfig.height, 0x000022, 0.95).setOrigin(0, 0);
+        
+        this.add.text(GameConfig.centerX, 70, 'CONTROLS', {
+            fontSize: '40px',
+            fill: '#00ffff',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        window.keyBindings.getActions().forEach((action, i) => this.createActionRow(action, 140 + i * 40));
+        this.createButtonRow('RESET TO DEFAULTS', 440, () => this.resetToDefaults());
+        this.createButtonRow('BACK', 485, () => this.close());
+        
+        this.message = this.add.text(GameConfig.centerX, 530, '', {
+            fontSize: '16px',
+            fill: '#ff6666',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5);
+        
+        this.add.text(GameConfig.centerX, 570, 'ENTER: rebind   DEL: clear   ESC: back', {
+            fontSize: '14px',
+            fill: '#aaaaaa',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5);
+        
+        this.input.keyboard.on('keydown', event => this.handleKey(event));
+        this.refreshRows();
+    }
+    
+    createActionRow(action, y) {
+        const index = this.entries.length;
+        const style = { fontSize: '20px', fill: '#ffffff', fontFamily: 'Courier New' };
+        const entry = { action: action, label: null, slots: [] };
+        
+        entry.label = this.add.text(120, y, GameConfig.keyBindings.labels[action] || action, style).setOrigin(0, 0.5);
+        
+        for (let slot = 0; slot < GameConfig.keyBindings.maxKeysPerAction; slot++) {
+            const text = this.add.text(420 + slot * 150, y, '', style).setOrigin(0, 0.5).setInteractive();
+            
+            text.on('pointerover', () => {
+                if (this.listening) return;
+                this.selected = index;
+                this.slot = slot;
+                this.refreshRows();
+            });
+            text.on('pointerdown', () => this.startListening());
+            
+            entry.slots.push(text);
+        }
+        
+        this.entries.push(entry);
+    }
+    
+    createButtonRow(label, y, action) {
+        const index = this.entries.length;
+        const text = this.add.text(GameConfig.centerX, y, label, {
+            fontSize: '20px',
+            fill: '#ffffff',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5).setInteractive();
+        
+        text.on('pointerover', () => {
+            if (this.listening) return;
+            this.selected = index;
+            this.refreshRows();
+        });
+        text.on('pointerdown', () => {
+            if (!this.listening) action();
+        });
+        
+        this.entries.push({ action: null, label: text, slots: [], activate: action });
+    }
+    
+    handleKey(event) {
+        if (this.listening) {
+            this.captureKey(event);
+            return;
+        }
+        
+        const entry = this.entries[this.selected];
+        
+        switch (event.key) {
+            case 'ArrowUp':
+                this.selected = Phaser.Math.Wrap(this.selected - 1, 0, this.entries.length);
+                break;
+            case 'ArrowDown':
+                this.selected = Phaser.Math.Wrap(this.selected + 1, 0, this.entries.length);
+                break;
+            case 'ArrowLeft':
+                this.slot = Phaser.Math.Clamp(this.slot - 1, 0, GameConfig.keyBindings.maxKeysPerAction - 1);
+                break;
+            case 'ArrowRight':
+                this.slot = Phaser.Math.Clamp(this.slot + 1, 0, GameConfig.keyBindings.maxKeysPerAction - 1);
+                break;
+            case 'Enter':
+            case ' ':
+                if (entry.activate) {
+                    entry.activate();
+                    return;
+                }
+                this.startListening();
+                return;
+            case 'Backspace':
+            case 'Delete':
+                if (entry.action) this.clearSlot(entry.action);
+                break;
+            case 'Escape':
+                this.close();
+                return;
+        }
+        
+        this.refreshRows();
+    }
+    
+    startListening() {
+        this.listening = true;
+        this.message.setText('');
+        this.refreshRows();
+    }
+    
+    // The next key pressed goes into the selected slot, unless another action already uses it
+    captureKey(event) {
+        const action = this.entries[this.selected].action;
+        this.listening = false;
+        
+        if (event.key === 'Escape') {
+            this.refreshRows();
+            return;
+        }
+        
+        const keyName = KeyBindings.nameForKeyCode(event.keyCode);
+        
+        if (!keyName) {
+            this.message.setText('That key can\'t be bound');
+        } else {
+            const conflict = window.keyBindings.bind(action, this.slot, keyName);
+            
+            if (conflict) {
+                this.message.setText(`${keyName} is already bound to ${GameConfig.keyBindings.labels[conflict] || conflict}`);
+            }
+        }
+        
+        this.refreshRows();
+    }
+    
+    clearSlot(action) {
+        if (!window.keyBindings.unbind(action, this.slot)) {
+            this.message.setText(`${GameConfig.keyBindings.labels[action] || action} needs at least one key`);
+            return;
+        }
+        
+        this.message.setText('');
+    }
+    
+    resetToDefaults() {
+        window.keyBindings.resetToDefaults();
+        this.message.setText('');
+        this.refreshRows();
+    }
+    
+    refreshRows() {
+        this.entries.forEach((entry, i) => {
+            const selected = i === this.selected;
+            entry.label.setFill(selected ? '#ffff00' : '#ffffff');
+            
+            if (!entry.action) return;
+            
+            const keys = window.keyBindings.get(entry.action);
+            entry.slots.forEach((text, slot) => {
+                const active = selected && slot === this.slot;
+                
+                if (active && this.listening) {
+                    text.setText('[PRESS KEY]');
+                } else {
+                    text.setText(`[${keys[slot] || '---'}]`);
+                }
+                text.setFill(active ? '#ffff00' : '#aaaaaa');
+            });
+        });
+    }
+    
+    close() {
+        this.scene.stop();
+        this.scene.resume(this.returnTo);
+    }
+}
+
+window.ControlsScene = ControlsScene; 
\ No newline at end of file
@@ -0,0 +1,408 @@
+/**
+ * Debug Console Class
+ * Developer console for trying out waves and situations without editing config.js.
+ * Only created when the page is opened with ?debug=1; F2 opens and closes it.
+ * Commands act on GameScene's managers, and every result goes through gameErrorHandler.
+ */
+
+class DebugConsole {
+    constructor(scene) {
+        this.scene = scene;
+        this.isOpen = false;
+        this.pausedScene = false;
+        this.history = [];
+        this.historyIndex = 0;
+        
+        this.panel = null;
+        this.output = null;
+        this.input = null;
+        
+        this.commands = {
+            help: { usage: 'help', run: () => this.help() },
+            spawn: { usage: 'spawn <v|line|circle|satellites|boss> [redFighter|yellowScout] [count]', run: args => this.spawn(args), cheat: true },
+            level: { usage: 'level <n>', run: args => this.level(args), cheat: true },
+            god: { usage: 'god [on|off]', run: args => this.god(args), cheat: true },
+            give: { usage: `give <${Object.keys(GameConfig.powerUps.types).join('|')}>`, run: args => this.give(args), cheat: true },
+            speed: { usage: 'speed <enemy speed>', run: args => this.speed(args), cheat: true },
+            hitboxes: { usage: 'hitboxes <on|off>', run: args => this.setHitboxes(args) },
+            shape: { usage: 'shape <texture> [circle <radius> [x y] | polygon <x,y> <x,y> <x,y>...]', run: args => this.shape(args), cheat: true },
+            shapes: { usage: 'shapes', run: () => this.shapes() },
+            replaycheck: { usage: 'replaycheck', run: () => this.replayCheck() },
+            timescale: { usage: `timescale <${GameConfig.debug.minTimeScale}-${GameConfig.debug.maxTimeScale}>`, run: args => this.timescale(args) },
+            clear: { usage: 'clear', run: () => this.clear() }
+        };
+        
+        this.onWindowKeyDown = this.onWindowKeyDown.bind(this);
+        
+        this.createPanel();
+        window.addEventListener('keydown', this.onWindowKeyDown);
+        this.scene.events.once('shutdown', () => this.destroy());
+        
+        console.log(`DebugConsole: ✓ Enabled, press ${GameConfig.debug.toggleKey} to open`);
+    }
+    
+    static isEnabled() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get(GameConfig.debug.urlParam) === '1';
+    }
+    
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.style.cssText = `
+            position: fixed;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            background: rgba(0, 0, 0, 0.85);
+            border-top: 2px solid #00ff00;
+            padding: 8px;
+            display: none;
+            z-index: 10000;
+            font-family: 'Courier New', monospace;
+            font-size: 14px;
+            color: #00ff00;
+        `;
+        
+        this.output = document.createElement('div');
+        this.output.style.cssText = 'white-space: pre-wrap; margin-bottom: 6px;';
+        
+        this.input = document.createElement('input');
+        this.input.type = 'text';
+        this.input.spellcheck = false;
+        this.input.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            background: #000000;
+            border: 1px solid #00ff00;
+            color: #00ff00;
+            font-family: 'Courier New', monospace;
+            font-size: 14px;
+            padding: 4px;
+        `;
+        
+        // Typing mustn't reach Phaser's window key listeners (and its preventDefault on SPACE and arrows)
+        this.input.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            this.onInputKeyDown(event);
+        });
+        this.input.addEventListener('keyup', event => event.stopPropagation());
+        
+        this.panel.appendChild(this.output);
+        this.panel.appendChild(this.input);
+        document.body.appendChild(this.panel);
+        
+        this.print('Type "help" for commands');
+    }
+    
+    onWindowKeyDown(event) {
+        if (event.key === GameConfig.debug.toggleKey) {
+            event.preventDefault();
+            this.toggle();
+        }
+    }
+    
+    onInputKeyDown(event) {
+        switch (event.key) {
+            case 'Enter':
+                this.submit(this.input.value);
+                this.input.value = '';
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.browseHistory(-1);
+                break;
+            case 'ArrowDown':
+                event.preventDefault();
+                this.browseHistory(1);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                if (event.key === GameConfig.debug.toggleKey) {
+                    event.preventDefault();
+                    this.close();
+                }
+        }
+    }
+    
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+    
+    // The run holds still while commands are typed; it's left alone if already paused
+    open() {
+        if (this.isOpen) return;
+        
+        this.isOpen = true;
+        this.pausedScene = this.scene.scene.isActive();
+        if (this.pausedScene) {
+            this.scene.scene.pause();
+        }
+        
+        this.panel.style.display = 'block';
+        this.input.focus();
+    }
+    
+    close() {
+        if (!this.isOpen) return;
+        
+        this.isOpen = false;
+        this.panel.style.display = 'none';
+        this.input.blur();
+        
+        if (this.pausedScene) {
+            this.pausedScene = false;
+            this.scene.scene.resume();
+        }
+    }
+    
+    browseHistory(direction) {
+        if (this.history.length === 0) return;
+        
+        this.historyIndex = Phaser.Math.Clamp(this.historyIndex + direction, 0, this.history.length);
+        this.input.value = this.history[this.historyIndex] || '';
+    }
+    
+    /**
+     * Run one command line
+     * @param {string} line - Command name followed by its arguments, e.g. "spawn circle yellowScout 8"
+     */
+    submit(line) {
+        const text = line.trim();
+        if (!text) return;
+        
+        this.history.push(text);
+        if (this.history.length > GameConfig.debug.historySize) {
+            this.history.shift();
+        }
+        this.historyIndex = this.history.length;
+        
+        const [name, ...args] = text.split(/\s+/);
+        const command = this.commands[name.toLowerCase()];
+        
+        this.print('> ' + text);
+        
+        try {
+            if (!command) {
+                throw new Error(`Unknown command "${name}", type "help" for commands`);
+            }
+            
+            const result = command.run(args);
+            
+            // Cheated runs can't be replayed faithfully or post a high score
+            if (command.cheat) {
+                this.scene.cheatsUsed = true;
+            }
+            
+            this.print(result);
+            window.gameErrorHandler.logDebugCommand(text, result);
+        } catch (error) {
+            this.print('Error: ' + error.message);
+            window.gameErrorHandler.handleDebugError(text, error);
+        }
+    }
+    
+    print(text) {
+        const lines = (this.output.textContent ? this.output.textContent.split('\n') : []).concat(text.split('\n'));
+        this.output.textContent = lines.slice(-GameConfig.debug.maxLines).join('\n');
+    }
+    
+    help() {
+        return Object.keys(this.commands).map(name => this.commands[name].usage).join('\n');
+    }
+    
+    spawn(args) {
+        const [formation, enemy = 'redFighter', count = '6'] = args;
+        const scene = this.scene;
+        
+        if (formation === 'satellites') {
+            scene.enemyManager.spawnSatelliteGroup();
+            return 'Spawned a satellite group';
+        }
+        
+        if (formation === 'boss') {
+            if (scene.bossManager.isActive()) {
+                throw new Error('A boss is already active');
+            }
+            scene.startBossFight();
+            return 'Boss fight started';
+        }
+        
+        const format = GameConfig.stageFormat;
+        if (!format.formations.includes(formation)) {
+            throw new Error(`Unknown formation "${formation}", expected ${format.formations.join(', ')}, satellites or boss`);
+        }
+        if (enemy !== 'redFighter' && enemy !== 'yellowScout') {
+            throw new Error(`Unknown enemy "${enemy}", expected redFighter or yellowScout`);
+        }
+        
+        const size = DebugConsole.parseNumber(count, 'count', 1, format.maxWaveSize);
+        
+        // Same entrances the stage files use: fighters corkscrew from the center, scouts come in from the sides
+        scene.enemyManager.spawnWave({
+            enemy: enemy,
+            formation: formation,
+            count: Math.floor(size),
+            entry: enemy === 'yellowScout' ? 'edges' : 'center',
+            stagger: GameConfig.enemySpawnStagger,
+            rotation: 0
+        });
+        return `Spawned ${Math.floor(size)} ${enemy} in a ${formation} formation`;
+    }
+    
+    level(args) {
+        const level = Math.floor(DebugConsole.parseNumber(args[0], 'level', 1, Infinity));
+        
+        this.scene.jumpToLevel(level);
+        return `Jumped to level ${level}`;
+    }
+    
+    god(args) {
+        const player = this.scene.player;
+        
+        player.godMode = args.length > 0 ? DebugConsole.parseSwitch(args[0]) : !player.godMode;
+        return `God mode ${player.godMode ? 'on' : 'off'}`;
+    }
+    
+    give(args) {
+        const type = args[0];
+        const definition = GameConfig.powerUps.types[type];
+        
+        if (!definition) {
+            throw new Error(`Unknown power-up "${type}", expected ${Object.keys(GameConfig.powerUps.types).join(', ')}`);
+        }
+        
+        this.scene.powerUpManager.award(type);
+        return `${definition.label} awarded`;
+    }
+    
+    speed(args) {
+        const enemyManager = this.scene.enemyManager;
+        
+        if (args.length === 0) {
+            return `Enemy speed is ${enemyManager.enemySpeed}`;
+        }
+        
+        enemyManager.enemySpeed = DebugConsole.parseNumber(args[0], 'speed', 1, Infinity);
+        return `Enemy speed set to ${enemyManager.enemySpeed} (starts at ${GameConfig.enemySpeed})`;
+    }
+    
+    setHitboxes(args) {
+        const enabled = DebugConsole.parseSwitch(args[0]);
+        
+        this.scene.collisionManager.setDebugDraw(enabled);
+        return `Hitboxes ${enabled ? 'on' : 'off'}`;
+    }
+    
+    // Show or live-edit one collision shape; copy the printed definition into GameConfig.collisionShapes to keep it
+    shape(args) {
+        const [key, type, ...values] = args;
+        const shapes = GameConfig.collisionShapes;
+        
+        if (!key || (!this.scene.textures.exists(key) && !shapes[key])) {
+            throw new Error(`Unknown texture "${key}"`);
+        }
+        
+        if (!type) {
+            return shapes[key] ? `${key}: ${JSON.stringify(shapes[key])}` : `${key}: no shape, collides as its frame`;
+        }
+        
+        let definition;
+        if (type === 'circle') {
+            const [radius, x = '0', y = '0'] = values;
+            definition = { type: 'circle', radius: Number(radius), x: Number(x), y: Number(y) };
+        } else if (type === 'polygon') {
+            definition = { type: 'polygon', points: values.map(value => value.split(',').map(Number)) };
+        } else {
+            throw new Error(`Unknown shape type "${type}", expected circle or polygon`);
+        }
+        
+        const problem = Hitboxes.validate(definition);
+        if (problem) {
+            throw new Error(`Invalid shape: ${problem}`);
+        }
+        
+        // Leave out a zero offset so the printed definition reads like the ones in config.js
+        if (definition.type === 'circle' && definition.x === 0 && definition.y === 0) {
+            delete definition.x;
+            delete definition.y;
+        }
+        
+        shapes[key] = definition;
+        this.scene.collisionManager.setDebugDraw(true);
+        return `${key}: ${JSON.stringify(definition)}`;
+    }
+    
+    shapes() {
+        const shapes = GameConfig.collisionShapes;
+        return Object.keys(shapes).map(key => `${key}: ${JSON.stringify(shapes[key])}`).join('\n');
+    }
+    
+    // Play the run that just ended back; ReplayScene checks it ends the same way as the recording
+    replayCheck() {
+        const scene = this.scene;
+        
+        if (!scene.player.isDead() || !scene.hasReplay()) {
+            throw new Error('Nothing to check yet, finish a run without cheats first');
+        }
+        
+        scene.scene.start('ReplayScene', { replay: scene.inputRecorder });
+        return `Replaying ${scene.inputRecorder.getTickCount()} ticks`;
+    }
+    
+    // Slows or speeds up the simulation along with the scene's timers and tweens
+    timescale(args) {
+        const scene = this.scene;
+        
+        if (args.length === 0) {
+            return `Time scale is ${scene.timeScale}`;
+        }
+        
+        const scale = DebugConsole.parseNumber(args[0], 'time scale', GameConfig.debug.minTimeScale, GameConfig.debug.maxTimeScale);
+        
+        scene.timeScale = scale;
+        
+        // A running hit-stop keeps the clock frozen and puts this scale back itself when it ends
+        if (!scene.feedbackManager.isHitStopped()) {
+            scene.feedbackManager.setSceneTimeScale(scale);
+        }
+        return `Time scale set to ${scale}`;
+    }
+    
+    clear() {
+        this.output.textContent = '';
+        return 'Cleared';
+    }
+    
+    destroy() {
+        window.removeEventListener('keydown', this.onWindowKeyDown);
+        this.panel.remove();
+        
+        // The clock and tween manager outlive the scene, so don't leave them slowed down
+        this.scene.time.timeScale = 1;
+        this.scene.tweens.timeScale = 1;
+    }
+    
+    static parseNumber(value, name, min, max) {
+        const number = Number(value);
+        
+        if (value === undefined || !Number.isFinite(number) || number < min || number > max) {
+            throw new Error(`Expected a ${name} from ${min}${max === Infinity ? ' up' : ' to ' + max}, got "${value}"`);
+        }
+        return number;
+    }
+    
+    static parseSwitch(value) {
+        if (value === 'on') return true;
+        if (value === 'off') return false;
+        
+        throw new Error(`Expected on or off, got "${value}"`);
+    }
+}
+
+window.DebugConsole = DebugConsole; 
\ No newline at end of file
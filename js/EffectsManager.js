@@ -6,10 +6,15 @@
 class EffectsManager {
     constructor(scene) {
         this.scene = scene;
-        this.stars = scene.physics.add.group();
+        this.stars = scene.add.group();
+        this.particles = scene.add.group({ maxSize: GameConfig.pools.particles });
+        this.planet = null;
+        this.warping = false;
+        this.warpTimer = null;
         
         this.createStarTexture();
         this.createStarField();
+        this.createPlanet();
         this.createExplosionTexture();
     }
     
@@ -27,20 +32,16 @@ class EffectsManager {
         console.log('Creating star field...');
         try {
             for (let i = 0; i < GameConfig.starCount; i++) {
-                let x = Phaser.Math.Between(0, GameConfig.width);
-                let y = Phaser.Math.Between(0, GameConfig.height);
-                let star = this.stars.create(x, y, 'star');
+                let star = this.stars.create(GameConfig.centerX, GameConfig.centerY, 'star');
                 
-                // Add variety to star sizes and speeds
-                const scale = Phaser.Math.FloatBetween(0.5, 1.5);
-                star.setScale(scale);
-                star.setVelocityY(Phaser.Math.Between(20, 100));
+                // Scatter the first stars all along the tube
+                this.resetStar(star, window.gameRandom.effects.realInRange(0, 1.5));
                 
                 // Add some twinkling effect
                 this.scene.tweens.add({
                     targets: star,
                     alpha: 0.3,
-                    duration: Phaser.Math.Between(1000, 3000),
+                    duration: window.gameRandom.effects.between(1000, 3000),
                     yoyo: true,
                     repeat: -1,
                     ease: 'Sine.easeInOut'
@@ -52,6 +53,77 @@ class EffectsManager {
         }
     }
     
+    resetStar(star, depth) {
+        const random = window.gameRandom.effects;
+        
+        // Add variety to star sizes and speeds
+        star.depthSpeed = GameConfig.tube.starSpeed * random.realInRange(0.5, 1.5);
+        Tube.place(star, random.realInRange(0, Math.PI * 2), depth, random.realInRange(0.5, 1.5));
+    }
+    
+    createPlanet() {
+        // Planet sits at the far end of the tube, behind everything else
+        this.planet = this.scene.add.circle(GameConfig.centerX, GameConfig.centerY, 40, 0xffffff, 0.35);
+    }
+    
+    setPalette(palette) {
+        this.scene.cameras.main.setBackgroundColor(palette.background);
+        this.stars.children.entries.forEach(star => star.setTint(palette.stars));
+        this.planet.setFillStyle(palette.planet, 0.35);
+    }
+    
+    /**
+     * Stream the star field out of the tube, then switch to the new planet's palette
+     * @param {object} palette - Palette of the planet being warped to
+     * @param {function} onComplete - Called once the warp has finished
+     */
+    playWarpTransition(palette, onComplete) {
+        this.warping = true;
+        
+        this.scene.tweens.add({
+            targets: this.planet,
+            scale: 0,
+            duration: GameConfig.campaign.warpDuration / 2,
+            ease: 'Quad.easeIn'
+        });
+        
+        // The next stage starts when this fires, so it runs on simulation time
+        this.warpTimer = this.scene.simClock.delayedCall(GameConfig.campaign.warpDuration, () => {
+            this.warpTimer = null;
+            this.endWarp();
+            this.setPalette(palette);
+            this.scene.feedbackManager.flash(0xffffff, 300);
+            
+            // New planet rushes up out of the vanishing point
+            this.scene.tweens.add({
+                targets: this.planet,
+                scale: { from: 0, to: 1 },
+                duration: 600,
+                ease: 'Back.easeOut'
+            });
+            
+            if (onComplete) onComplete();
+        });
+    }
+    
+    endWarp() {
+        this.warping = false;
+    }
+    
+    cancelWarp() {
+        if (this.warpTimer) {
+            this.warpTimer.remove();
+            this.warpTimer = null;
+        }
+        
+        if (this.warping) {
+            this.endWarp();
+        }
+        
+        this.scene.tweens.killTweensOf(this.planet);
+        this.planet.setScale(1);
+    }
+    
     createExplosionTexture() {
         // Create explosion texture
         const explosionGraphics = this.scene.add.graphics();
@@ -61,47 +133,62 @@ class EffectsManager {
         explosionGraphics.destroy();
     }
     
-    update() {
-        // Move stars
+    update(delta) {
+        // Stars stream out of the vanishing point, much faster while warping
+        const speed = this.warping ? GameConfig.tube.warpSpeedMultiplier : 1;
+        
         this.stars.children.entries.forEach((star) => {
-            if (star.y > GameConfig.height) {
-                star.y = 0;
-                star.x = Phaser.Math.Between(0, GameConfig.width);
+            Tube.move(star, delta * speed);
+            
+            if (star.x < 0 || star.x > GameConfig.width || star.y < 0 || star.y > GameConfig.height) {
+                this.resetStar(star, window.gameRandom.effects.realInRange(0, 0.1));
+            }
+            
+            // Stretch each star into a streak along its direction of travel
+            star.setRotation(star.tubeAngle);
+            if (this.warping) {
+                star.setScale(star.scaleX * 4, star.scaleY * 0.5);
             }
         });
     }
     
     createExplosionEffect(x, y) {
-        // Create particle explosion
+        // Explosions deep in the tube are smaller and tighter
+        const scale = Tube.getScale(Tube.unproject(x, y).depth);
+        
+        const particles = [];
+        
+        // Take particles from the pool; a busy screen just gets smaller explosions
         for (let i = 0; i < GameConfig.explosionParticleCount; i++) {
-            const particle = this.scene.add.sprite(x, y, 'explosion');
+            const particle = this.particles.get(x, y, 'explosion');
+            if (!particle) break;
+            
             const angle = (i / GameConfig.explosionParticleCount) * Math.PI * 2;
-            const speed = Phaser.Math.Between(50, 150);
+            const speed = window.gameRandom.effects.between(50, 150) * scale;
             
-            this.scene.tweens.add({
-                targets: particle,
-                x: x + Math.cos(angle) * speed,
-                y: y + Math.sin(angle) * speed,
-                alpha: 0,
-                duration: 500,
-                onComplete: () => particle.destroy()
-            });
+            particle.setActive(true).setVisible(true).setAlpha(1).setScale(scale);
+            particles.push({ sprite: particle, dx: Math.cos(angle) * speed, dy: Math.sin(angle) * speed });
         }
+        
+        if (particles.length === 0) return;
+        
+        // One counter tween drives the whole burst instead of one tween per particle
+        this.scene.tweens.addCounter({
+            from: 0,
+            to: 1,
+            duration: 500,
+            onUpdate: (tween) => {
+                const t = tween.getValue();
+                particles.forEach(({ sprite, dx, dy }) => {
+                    sprite.setPosition(x + dx * t, y + dy * t).setAlpha(1 - t);
+                });
+            },
+            onComplete: () => particles.forEach(({ sprite }) => Pools.release(this.particles, sprite))
+        });
     }
     
-    addEnemyVisualEffects(enemies) {
-        // Add subtle pulsing effect to all enemies
-        enemies.children.entries.forEach((enemy) => {
-            this.scene.tweens.add({
-                targets: enemy,
-                scaleX: 1.1,
-                scaleY: 1.1,
-                duration: 1000,
-                yoyo: true,
-                repeat: -1,
-                ease: 'Sine.easeInOut'
-            });
-        });
+    getPoolStats() {
+        return { particles: Pools.stats(this.particles) };
     }
 }
 
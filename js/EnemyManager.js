@@ -8,258 +8,340 @@ class EnemyManager {
         console.log('EnemyManager: Constructor started');
         this.scene = scene;
         this.enemies = scene.physics.add.group();
+        this.satelliteGroups = [];
+        
+        // One pool per ship type; every pooled ship also sits in this.enemies for collisions
+        this.pools = {};
+        Object.keys(EnemyManager.SHIP_TYPES).forEach((type) => {
+            this.pools[type] = scene.add.group({ maxSize: GameConfig.pools.enemies[type] });
+        });
         console.log('EnemyManager: Physics group created');
         this.enemySpeed = GameConfig.enemySpeed;
         this.enemyFireTimer = null;
+        this.attackTimer = null;
+        this.fireChance = GameConfig.enemyFireChance;
+        this.stageLoader = new StageLoader(scene);
+        this.currentStage = null;
+        this.waveTimers = [];
+        this.stageTimer = null;
+        this.stageSpawned = 0;
+        this.stageKills = 0;
         
         console.log('EnemyManager: Setting up enemy firing...');
         this.setupEnemyFiring();
+        this.setupAttackRuns();
         console.log('EnemyManager: Constructor completed');
     }
     
-    setupEnemyFiring() {
-        this.enemyFireTimer = this.scene.time.addEvent({
-            delay: 1500,
+    setupEnemyFiring(delay = GameConfig.enemyFireInterval) {
+        if (this.enemyFireTimer) {
+            this.enemyFireTimer.remove();
+        }
+        
+        this.enemyFireTimer = this.scene.simClock.addEvent({
+            delay: delay,
             callback: () => this.enemiesFire(),
-            callbackScope: this,
             loop: true
         });
     }
     
+    setupAttackRuns() {
+        if (this.attackTimer) {
+            this.attackTimer.remove();
+        }
+        
+        this.attackTimer = this.scene.simClock.addEvent({
+            delay: GameConfig.enemyAttackInterval,
+            callback: () => this.launchAttackRun(),
+            loop: true
+        });
+    }
+    
+    startStage(level) {
+        const stage = this.stageLoader.getStage(level);
+        
+        if (!stage) {
+            // Keep the game playable when a stage file is broken
+            console.warn(`EnemyManager: No valid stage for level ${level}, using a random formation`);
+            this.beginStage(null);
+            this.spawnEnemyFormation();
+            return;
+        }
+        
+        this.playStage(stage);
+    }
+    
+    startChanceStage(number) {
+        const stage = this.stageLoader.getChanceStage(number);
+        
+        if (!stage) {
+            console.warn(`EnemyManager: No valid chance stage ${number}, skipping it`);
+            this.beginStage(null);
+            return;
+        }
+        
+        this.playStage(stage);
+    }
+    
+    playStage(stage) {
+        console.log(`EnemyManager: Starting stage "${stage.name}"`);
+        this.beginStage(stage);
+        
+        stage.waves.forEach((wave) => {
+            const timer = this.scene.simClock.delayedCall(wave.at, () => {
+                this.waveTimers = this.waveTimers.filter(pending => pending !== timer);
+                this.spawnWave(wave);
+            });
+            this.waveTimers.push(timer);
+        });
+        
+        // Timed stages end with any survivors flying back down the tube
+        if (stage.duration) {
+            this.stageTimer = this.scene.simClock.delayedCall(stage.duration, () => this.retreatAll());
+        }
+    }
+    
+    beginStage(stage) {
+        this.clearWaveTimers();
+        this.currentStage = stage;
+        this.stageSpawned = 0;
+        this.stageKills = 0;
+        
+        this.setupEnemyFiring(stage ? stage.fireInterval : GameConfig.enemyFireInterval);
+        this.fireChance = stage ? stage.fireChance : GameConfig.enemyFireChance;
+    }
+    
     spawnEnemyFormation() {
         const formations = [
-            this.spawnVFormation.bind(this),
-            this.spawnLineFormation.bind(this),
-            this.spawnCircleFormation.bind(this)
+            { enemy: 'redFighter', formation: 'v', count: 5, entry: 'center' },
+            { enemy: 'yellowScout', formation: 'line', count: 6, entry: 'edges' },
+            { enemy: 'redFighter', formation: 'circle', count: 8, entry: 'center' }
         ];
-
-        const formation = Phaser.Utils.Array.GetRandom(formations);
-        formation();
+        
+        const formation = window.gameRandom.gameplay.pick(formations);
+        this.spawnWave({ ...formation, stagger: GameConfig.enemySpawnStagger, rotation: 0 });
     }
     
-    spawnVFormation() {
-        console.log('Spawning V formation...');
-        // V-shaped formation that flies in pattern and circles back
-        for (let i = 0; i < 5; i++) {
-            const angle = (i / 5) * Math.PI * 0.6 - Math.PI * 0.3; // Spread in a V shape
-            const enemyTypeNum = Phaser.Math.Between(1, 4);
-            const enemyTypes = ['redEnemy', 'greenEnemy', 'yellowEnemy', 'purpleEnemy'];
-            const enemyType = enemyTypes[enemyTypeNum - 1];
-            
-            console.log(`Creating enemy ${i} with type: ${enemyType}`);
+    spawnWave(wave) {
+        console.log(`Spawning ${wave.enemy} wave...`);
+        
+        if (wave.enemy === 'satelliteGroup') {
+            this.spawnSatelliteGroup();
+            return;
+        }
+        
+        for (let i = 0; i < wave.count; i++) {
+            const angle = this.getFormationAngle(wave.formation, i, wave.count) + Phaser.Math.DegToRad(wave.rotation);
+            const spawn = this.getSpawnPoint(wave.entry, i);
             
             try {
-                const enemy = this.enemies.create(GameConfig.centerX, GameConfig.centerY, enemyType);
-                
-                if (!enemy) {
-                    console.error(`Failed to create enemy with type: ${enemyType}`);
-                    continue;
+                const type = wave.enemy === 'yellowScout' ? 'yellowScout' : 'redFighter';
+                const ship = this.spawnShip(type, spawn.x, spawn.y, spawn.fromLeft);
+                if (ship) {
+                    this.addShip(ship, angle, i * wave.stagger);
                 }
-                
-                // Set enemy scale
-                enemy.setScale(GameConfig.enemyBulletScale);
-                
-                // Set formation data
-                enemy.formationType = 'v';
-                enemy.formationIndex = i;
-                enemy.angle = angle;
-                enemy.formationPhase = 'approach'; // approach, circle, return
-                enemy.formationTimer = 0;
-                enemy.originalAngle = angle;
-                
-                // Start moving outward
-                const targetX = GameConfig.centerX + Math.cos(angle) * GameConfig.playerRadius;
-                const targetY = GameConfig.centerY + Math.sin(angle) * GameConfig.playerRadius;
-                
-                const dx = targetX - GameConfig.centerX;
-                const dy = targetY - GameConfig.centerY;
-                const distanceToTarget = Math.sqrt(dx * dx + dy * dy);
-                
-                enemy.setVelocity(
-                    (dx / distanceToTarget) * this.enemySpeed,
-                    (dy / distanceToTarget) * this.enemySpeed
-                );
-                
-                console.log(`Enemy ${i} created successfully at (${enemy.x}, ${enemy.y})`);
             } catch (error) {
                 console.error(`Error creating enemy ${i}:`, error);
             }
         }
-        console.log(`V formation complete. Total enemies: ${this.enemies.children.entries.length}`);
+        console.log(`Wave complete. Total enemies: ${this.getEnemyCount()}`);
     }
     
-    spawnLineFormation() {
-        // Line formation that flies in pattern and circles back
-        for (let i = 0; i < 6; i++) {
-            const angle = (i / 5) * Math.PI * 0.8 - Math.PI * 0.4; // Spread in a line
-            const enemyTypeNum = Phaser.Math.Between(1, 4);
-            const enemyTypes = ['redEnemy', 'greenEnemy', 'yellowEnemy', 'purpleEnemy'];
-            const enemyType = enemyTypes[enemyTypeNum - 1];
-            
-            const enemy = this.enemies.create(GameConfig.centerX, GameConfig.centerY, enemyType);
-            
-            // Set enemy scale
-            enemy.setScale(GameConfig.enemyBulletScale);
-            
-            // Set formation data
-            enemy.formationType = 'line';
-            enemy.formationIndex = i;
-            enemy.angle = angle;
-            enemy.formationPhase = 'approach';
-            enemy.formationTimer = 0;
-            enemy.originalAngle = angle;
-            
-            // Start moving outward
-            const targetX = GameConfig.centerX + Math.cos(angle) * GameConfig.playerRadius;
-            const targetY = GameConfig.centerY + Math.sin(angle) * GameConfig.playerRadius;
-            
-            const dx = targetX - GameConfig.centerX;
-            const dy = targetY - GameConfig.centerY;
-            const distanceToTarget = Math.sqrt(dx * dx + dy * dy);
-            
-            enemy.setVelocity(
-                (dx / distanceToTarget) * this.enemySpeed,
-                (dy / distanceToTarget) * this.enemySpeed
-            );
+    getFormationAngle(formation, index, count) {
+        switch (formation) {
+            case 'v':
+                return (index / count) * Math.PI * 0.6 - Math.PI * 0.3; // Spread in a V shape
+            case 'line':
+                return (index / Math.max(1, count - 1)) * Math.PI * 0.8 - Math.PI * 0.4; // Spread in a line
+            case 'circle':
+            default:
+                return (index / count) * Math.PI * 2; // Full circle
         }
     }
     
-    spawnCircleFormation() {
-        // Circle formation that flies in pattern and circles back
-        for (let i = 0; i < 8; i++) {
-            const angle = (i / 8) * Math.PI * 2; // Full circle
-            const enemyTypeNum = Phaser.Math.Between(1, 4);
-            const enemyTypes = ['redEnemy', 'greenEnemy', 'yellowEnemy', 'purpleEnemy'];
-            const enemyType = enemyTypes[enemyTypeNum - 1];
-            
-            const enemy = this.enemies.create(GameConfig.centerX, GameConfig.centerY, enemyType);
-            
-            // Set enemy scale
-            enemy.setScale(GameConfig.enemyBulletScale);
-            
-            // Set formation data
-            enemy.formationType = 'circle';
-            enemy.formationIndex = i;
-            enemy.angle = angle;
-            enemy.formationPhase = 'approach';
-            enemy.formationTimer = 0;
-            enemy.originalAngle = angle;
-            
-            // Start moving outward
-            const targetX = GameConfig.centerX + Math.cos(angle) * GameConfig.playerRadius;
-            const targetY = GameConfig.centerY + Math.sin(angle) * GameConfig.playerRadius;
-            
-            const dx = targetX - GameConfig.centerX;
-            const dy = targetY - GameConfig.centerY;
-            const distanceToTarget = Math.sqrt(dx * dx + dy * dy);
+    getSpawnPoint(entry, index) {
+        const fromLeft = entry === 'left' || (entry === 'edges' && index % 2 === 0);
+        
+        // Red Fighters always corkscrew out of the center, whatever their spawn point
+        if (entry === 'center') {
+            return { x: GameConfig.centerX, y: GameConfig.centerY, fromLeft: fromLeft };
+        }
+        
+        return {
+            x: fromLeft ? -32 : GameConfig.width + 32,
+            y: window.gameRandom.gameplay.between(0, GameConfig.height),
+            fromLeft: fromLeft
+        };
+    }
+    
+    /**
+     * Take a ship from its type's pool, creating one while the pool is below its cap
+     * @param {string} type - Key of EnemyManager.SHIP_TYPES
+     * @param {number} x - Spawn x position
+     * @param {number} y - Spawn y position
+     * @param {*} option - Type-specific spawn option (a scout's side, a satellite's central flag)
+     * @returns {EnemyShip|null} The spawned ship, or null when the pool is used up
+     */
+    spawnShip(type, x, y, option) {
+        const pool = this.pools[type];
+        let ship = pool.getFirstDead(false);
+        
+        if (!ship) {
+            if (pool.isFull()) {
+                console.warn(`EnemyManager: ${type} pool exhausted (${pool.maxSize}), skipping ship`);
+                return null;
+            }
             
-            enemy.setVelocity(
-                (dx / distanceToTarget) * this.enemySpeed,
-                (dy / distanceToTarget) * this.enemySpeed
-            );
+            ship = new EnemyManager.SHIP_TYPES[type](this.scene, x, y);
+            pool.add(ship);
+            this.enemies.add(ship);
         }
+        
+        return ship.spawn(x, y, option);
     }
     
-    updateEnemyMovement() {
-        this.enemies.children.entries.forEach((enemy) => {
-            if (!enemy.active) return;
+    spawnSatelliteGroup() {
+        const group = new SatelliteGroup(this.scene);
+        group.start();
+        this.stageSpawned += group.satellites.length;
+        
+        this.satelliteGroups.push(group);
+    }
+    
+    addShip(ship, formationAngle, delay) {
+        this.stageSpawned++;
+        ship.setFormationPosition(formationAngle);
+        
+        // Ships wait at their spawn point until their turn to enter (unless shot and recycled meanwhile)
+        const spawnCount = ship.spawnCount;
+        this.scene.simClock.delayedCall(delay, () => {
+            if (ship.active && ship.spawnCount === spawnCount) {
+                ship.enterFormation(this.getEnterDuration());
+            }
+        });
+        
+        return ship;
+    }
+    
+    getEnterDuration() {
+        // Faster waves reach formation sooner as levels progress
+        return GameConfig.enemyEnterDuration * GameConfig.enemySpeed / this.enemySpeed;
+    }
+    
+    updateEnemyMovement(delta) {
+        // Entrances and attack runs are sim clock tweens; satellites orbit every step
+        this.satelliteGroups.forEach(group => group.update(delta));
+        this.satelliteGroups = this.satelliteGroups.filter(group => group.getLiveSatellites().length > 0);
+    }
+    
+    launchAttackRun() {
+        const player = this.scene.player;
+        if (!player || player.isDead()) return;
+        
+        // Chance stage ships never dive at the player
+        if (this.currentStage && this.currentStage.bonus) return;
+        
+        const candidates = this.getActiveEnemies().filter(enemy =>
+            enemy.currentState === 'inFormation' && !(enemy instanceof Satellite)
+        );
+        
+        if (candidates.length === 0) return;
+        
+        const attacker = window.gameRandom.gameplay.pick(candidates);
+        attacker.startAttackRun(player.getSprite(), GameConfig.enemyAttackDuration);
+    }
+    
+    // Send every surviving ship back into the vanishing point without scoring
+    retreatAll() {
+        this.clearWaveTimers();
+        
+        this.getActiveEnemies().forEach((enemy) => {
+            if (enemy.currentState === 'spawning') {
+                enemy.despawn();
+                return;
+            }
             
-            enemy.formationTimer += 16; // Assuming 60fps
+            enemy.currentState = 'retreating';
+            if (enemy.pulseTween) enemy.pulseTween.stop();
+            if (enemy.enterTween) enemy.enterTween.stop();
+            if (enemy.attackTween) enemy.attackTween.stop();
             
-            if (enemy.formationPhase === 'approach') {
-                // Check if enemy has reached the circle
-                const distanceFromCenter = Math.sqrt(
-                    Math.pow(enemy.x - GameConfig.centerX, 2) + 
-                    Math.pow(enemy.y - GameConfig.centerY, 2)
-                );
-                
-                if (distanceFromCenter >= GameConfig.playerRadius - 10) {
-                    // Start circling
-                    enemy.formationPhase = 'circle';
-                    enemy.circleAngle = enemy.originalAngle;
-                    enemy.setVelocity(0, 0);
-                    
-                    // Simple rotation to face movement direction during approach
-                    const moveAngle = Math.atan2(enemy.y - GameConfig.centerY, enemy.x - GameConfig.centerX);
-                    enemy.rotation = moveAngle + Math.PI / 2 + Math.PI; // Add 90 degrees + 180 degrees to point top toward center
-                }
-            } else if (enemy.formationPhase === 'circle') {
-                // Circle around the player's circle
-                enemy.circleAngle += 0.02;
-                
-                const circleRadius = GameConfig.playerRadius;
-                enemy.x = GameConfig.centerX + Math.cos(enemy.circleAngle) * circleRadius;
-                enemy.y = GameConfig.centerY + Math.sin(enemy.circleAngle) * circleRadius;
-                
-                // Simple rotation to face movement direction while circling
-                enemy.rotation = enemy.circleAngle + Math.PI / 2 + Math.PI; // Add 90 degrees + 180 degrees to point top toward center
-                
-                // After circling for a while, return to center
-                if (enemy.formationTimer > 5000) { // 5 seconds
-                    enemy.formationPhase = 'return';
-                    enemy.formationTimer = 0;
-                }
-            } else if (enemy.formationPhase === 'return') {
-                // Return to center
-                const dx = GameConfig.centerX - enemy.x;
-                const dy = GameConfig.centerY - enemy.y;
-                const distanceToCenter = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distanceToCenter < 10) {
-                    // Reached center, destroy enemy
-                    enemy.destroy();
-                } else {
-                    // Move toward center
-                    enemy.setVelocity(
-                        (dx / distanceToCenter) * this.enemySpeed,
-                        (dy / distanceToCenter) * this.enemySpeed
-                    );
-                    
-                    // Simple rotation to face center during return
-                    const returnAngle = Math.atan2(dy, dx);
-                    enemy.rotation = returnAngle + Math.PI / 2 + Math.PI; // Add 90 degrees + 180 degrees to point top toward center
-                }
-            }
+            // Fly from wherever the ship is back down to depth 0
+            const start = Tube.unproject(enemy.x, enemy.y);
+            enemy.attackTween = this.scene.simClock.addCounter({
+                from: start.depth,
+                to: 0,
+                duration: 800,
+                ease: 'Quad.easeIn',
+                onUpdate: (tween) => enemy.setTubePosition(start.angle, tween.getValue()),
+                onComplete: () => enemy.despawn()
+            });
         });
     }
     
+    recordKill() {
+        this.stageKills++;
+    }
+    
+    getStageStats() {
+        return { spawned: this.stageSpawned, kills: this.stageKills };
+    }
+    
     enemiesFire() {
-        this.enemies.children.entries.forEach((enemy) => {
-            if (Phaser.Math.Between(0, 100) < GameConfig.enemyFireChance) { // 20% chance to fire
-                // Create bullet at enemy's position
-                const bullet = this.scene.bulletManager.getEnemyBullets().create(enemy.x, enemy.y, 'enemyBullet');
-                
-                // Set enemy bullet scale
-                bullet.setScale(GameConfig.enemyBulletScale);
-                
-                // Calculate direction from center toward the enemy's position (tube axis)
-                const angleFromCenter = Math.atan2(enemy.y - GameConfig.centerY, enemy.x - GameConfig.centerX);
-                
-                // Move bullet along tube axis (from center outward, but starting from enemy position)
-                bullet.setVelocity(
-                    Math.cos(angleFromCenter) * GameConfig.enemyBulletSpeed,
-                    Math.sin(angleFromCenter) * GameConfig.enemyBulletSpeed
-                );
-                
-                // Rotate bullet to match tube direction
-                bullet.rotation = angleFromCenter;
-                
-                // Add tube movement data
-                bullet.tubeMovement = true;
-                bullet.startX = enemy.x;
-                bullet.startY = enemy.y;
-                bullet.targetX = GameConfig.centerX + Math.cos(angleFromCenter) * (GameConfig.playerRadius + 100);
-                bullet.targetY = GameConfig.centerY + Math.sin(angleFromCenter) * (GameConfig.playerRadius + 100);
+        this.getActiveEnemies().forEach((enemy) => {
+            // Ships still waiting at their spawn point can't fire
+            if (enemy.currentState === 'spawning') return;
+            
+            if (window.gameRandom.gameplay.between(0, 100) < this.fireChance) {
+                this.fireEnemyBullet(enemy);
             }
         });
     }
     
+    // Fire a bullet out along the tube from any ship or point on screen
+    fireEnemyBullet(source) {
+        const origin = Tube.unproject(source.x, source.y);
+        return this.scene.bulletManager.fireEnemyBullet(origin.angle, origin.depth);
+    }
+    
     getEnemies() {
         return this.enemies;
     }
     
+    // Ships in play, leaving out idle ones waiting in their pools
+    getActiveEnemies() {
+        return this.enemies.getMatching('active', true);
+    }
+    
     getEnemyCount() {
-        return this.enemies.children.entries.length;
+        return this.enemies.countActive(true);
+    }
+    
+    getPoolStats() {
+        const stats = {};
+        Object.keys(this.pools).forEach((type) => {
+            stats[type] = Pools.stats(this.pools[type]);
+        });
+        return stats;
+    }
+    
+    // Cleared once every wave has spawned and every ship is gone
+    isStageCleared() {
+        return this.waveTimers.length === 0 && this.getEnemyCount() === 0;
+    }
+    
+    getCurrentStage() {
+        return this.currentStage;
+    }
+    
+    clearWaveTimers() {
+        this.waveTimers.forEach(timer => timer.remove());
+        this.waveTimers = [];
+        
+        if (this.stageTimer) {
+            this.stageTimer.remove();
+            this.stageTimer = null;
+        }
     }
     
     increaseSpeed() {
@@ -267,9 +349,21 @@ class EnemyManager {
     }
     
     reset() {
-        this.enemies.clear(true, true);
+        this.clearWaveTimers();
+        this.getActiveEnemies().forEach(enemy => enemy.despawn());
+        this.satelliteGroups = [];
         this.enemySpeed = GameConfig.enemySpeed;
+        
+        // A restart clears the sim clock, so attack runs need their timer back
+        this.setupAttackRuns();
     }
 }
 
+// Pooled ship classes, keyed like GameConfig.pools.enemies
+EnemyManager.SHIP_TYPES = {
+    redFighter: RedFighter,
+    yellowScout: YellowScout,
+    satellite: Satellite
+};
+
 window.EnemyManager = EnemyManager; 
\ No newline at end of file
@@ -6,6 +6,7 @@
 class ErrorHandler {
     constructor() {
         this.errors = [];
+        this.debugLog = [];
         this.maxErrors = 100;
         this.enabled = true;
         
@@ -162,6 +163,27 @@ class ErrorHandler {
         });
     }
     
+    // Debug console results are logged apart from real errors; failed commands go through handleError
+    logDebugCommand(command, result) {
+        const entry = {
+            command: command,
+            result: result,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.debugLog.push(entry);
+        
+        if (this.debugLog.length > this.maxErrors) {
+            this.debugLog.shift();
+        }
+        
+        console.log(`[${entry.timestamp}] Debug: ${command} -> ${result}`);
+    }
+    
+    handleDebugError(command, error) {
+        this.handleError('Debug Command Failed', error, { command: command });
+    }
+    
     // Get error statistics
     getErrorStats() {
         const stats = {
@@ -0,0 +1,198 @@
+/**
+ * Feedback Manager Class
+ * Game feel on top of EffectsManager: camera shake that falls off, hit-stop on kills,
+ * full-screen flashes and a chromatic flicker on the player when hit.
+ * Shake and flash follow their own settings; reduce motion turns off shake, hit-stop and flicker and softens flashes.
+ */
+
+class FeedbackManager {
+    constructor(scene) {
+        this.scene = scene;
+        
+        // Shake strength from 0 to 1; the camera moves by its square so big hits stand out from small ones
+        this.trauma = 0;
+        this.hitStopRemaining = 0;
+        this.lastHitStop = -Infinity;
+        this.ghosts = [];
+        
+        this.overlay = scene.add.rectangle(0, 0, GameConfig.width, GameConfig.height, 0xffffff, 1)
+            .setOrigin(0, 0)
+            .setScrollFactor(0)
+            .setDepth(GameConfig.feedback.flash.depth)
+            .setAlpha(0);
+        
+        // The clock and tween manager outlive the scene, so a run that ends mid hit-stop mustn't leave them frozen
+        scene.events.once('shutdown', () => this.setSceneTimeScale(1));
+    }
+    
+    reduceMotion() {
+        return window.gameSettings.get('reduceMotion');
+    }
+    
+    /**
+     * Shake the camera, stacking with any shake already running
+     * @param {number} trauma - How much to add, 0-1
+     */
+    shake(trauma) {
+        if (!window.gameSettings.get('screenShake') || this.reduceMotion()) return;
+        
+        this.trauma = Math.min(1, this.trauma + trauma);
+    }
+    
+    /**
+     * Hold the simulation still for a moment, along with the scene's clock and tweens; overlapping requests don't add up
+     * @param {number} duration - ms of real time to freeze for
+     */
+    hitStop(duration) {
+        if (this.reduceMotion()) return;
+        
+        // A string of kills shouldn't turn into a slideshow
+        const now = this.scene.time.now;
+        if (now - this.lastHitStop < GameConfig.feedback.hitStopCooldown) return;
+        
+        this.lastHitStop = now;
+        this.hitStopRemaining = Math.max(this.hitStopRemaining, duration);
+        this.setSceneTimeScale(0);
+    }
+    
+    isHitStopped() {
+        return this.hitStopRemaining > 0;
+    }
+    
+    // Banners, flashes and explosions run on the scene's clock and tweens; they go back to the debug console's time scale after
+    setSceneTimeScale(scale) {
+        this.scene.time.timeScale = scale;
+        this.scene.tweens.timeScale = scale;
+    }
+    
+    /**
+     * Fill the screen with a color that fades out
+     * @param {number} color - Fill color
+     * @param {number} duration - ms to fade over
+     * @param {number} alpha - Starting opacity
+     */
+    flash(color, duration, alpha = 1) {
+        if (!window.gameSettings.get('screenFlash')) return;
+        
+        const strength = this.reduceMotion() ? alpha * GameConfig.feedback.flash.reducedAlpha : alpha;
+        
+        this.scene.tweens.killTweensOf(this.overlay);
+        this.overlay.setFillStyle(color, 1).setAlpha(strength);
+        this.scene.tweens.add({
+            targets: this.overlay,
+            alpha: 0,
+            duration: duration,
+            ease: 'Quad.easeOut'
+        });
+    }
+    
+    /**
+     * Split a sprite into red and cyan copies that jitter around it for a moment
+     * @param {Phaser.GameObjects.Sprite} sprite - Sprite to flicker
+     */
+    flicker(sprite) {
+        if (this.reduceMotion()) return;
+        
+        const config = GameConfig.feedback.flicker;
+        
+        config.colors.forEach((color, i) => {
+            const image = this.scene.add.image(sprite.x, sprite.y, sprite.texture.key)
+                .setTint(color)
+                .setBlendMode(Phaser.BlendModes.ADD)
+                .setAlpha(config.alpha)
+                .setDepth(sprite.depth + 1);
+            
+            this.ghosts.push({ image: image, target: sprite, side: i === 0 ? -1 : 1, remaining: config.duration });
+        });
+    }
+    
+    // Game events
+    enemyKilled() {
+        const config = GameConfig.feedback.enemyKilled;
+        
+        this.shake(config.trauma);
+        this.hitStop(config.hitStop);
+    }
+    
+    bossDefeated() {
+        const config = GameConfig.feedback.bossDefeated;
+        
+        this.shake(config.trauma);
+        this.hitStop(config.hitStop);
+        this.flash(config.color, config.flashDuration, config.flashAlpha);
+    }
+    
+    playerHit(sprite) {
+        this.shake(GameConfig.feedback.playerHit.trauma);
+        this.flicker(sprite);
+    }
+    
+    playerDied() {
+        const config = GameConfig.feedback.playerDied;
+        
+        this.shake(config.trauma);
+        this.flash(config.color, config.flashDuration, config.flashAlpha);
+    }
+    
+    smartBomb() {
+        const config = GameConfig.feedback.smartBomb;
+        
+        this.shake(config.trauma);
+        this.flash(config.color, config.flashDuration, config.flashAlpha);
+    }
+    
+    /**
+     * Advance shake, hit-stop and flicker on real time, so they carry on while the simulation is held
+     * @param {number} delta - ms since the previous frame
+     */
+    update(delta) {
+        const config = GameConfig.feedback;
+        const random = window.gameRandom.effects;
+        const camera = this.scene.cameras.main;
+        
+        if (this.hitStopRemaining > 0) {
+            this.hitStopRemaining = Math.max(0, this.hitStopRemaining - delta);
+            if (this.hitStopRemaining === 0) this.setSceneTimeScale(this.scene.timeScale);
+        }
+        
+        if (this.trauma > 0) {
+            this.trauma = Math.max(0, this.trauma - config.shake.decay * delta / 1000);
+            
+            const offset = config.shake.maxOffset * this.trauma * this.trauma;
+            camera.setScroll(random.realInRange(-offset, offset), random.realInRange(-offset, offset));
+        } else if (camera.scrollX !== 0 || camera.scrollY !== 0) {
+            camera.setScroll(0, 0);
+        }
+        
+        this.ghosts = this.ghosts.filter((ghost) => {
+            ghost.remaining -= delta;
+            if (ghost.remaining <= 0 || !ghost.target.active) {
+                ghost.image.destroy();
+                return false;
+            }
+            
+            // Jitter sideways and blink every interval, fading as it goes
+            const jitter = random.realInRange(0.5, 1.5);
+            ghost.image.setPosition(ghost.target.x + ghost.side * config.flicker.offset * jitter, ghost.target.y)
+                .setRotation(ghost.target.rotation)
+                .setScale(ghost.target.scaleX, ghost.target.scaleY)
+                .setVisible(Math.floor(ghost.remaining / config.flicker.interval) % 2 === 0)
+                .setAlpha(config.flicker.alpha * ghost.remaining / config.flicker.duration);
+            return true;
+        });
+    }
+    
+    reset() {
+        if (this.isHitStopped()) this.setSceneTimeScale(this.scene.timeScale);
+        
+        this.trauma = 0;
+        this.hitStopRemaining = 0;
+        this.scene.cameras.main.setScroll(0, 0);
+        this.scene.tweens.killTweensOf(this.overlay);
+        this.overlay.setAlpha(0);
+        this.ghosts.forEach(ghost => ghost.image.destroy());
+        this.ghosts = [];
+    }
+}
+
+window.FeedbackManager = FeedbackManager; 
\ No newline at end of file
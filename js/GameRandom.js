@@ -0,0 +1,67 @@
+/**
+ * Game Random Class
+ * Seedable random number service that all gameplay randomness draws from,
+ * so a run can be reproduced exactly from its seed
+ */
+
+class GameRandom {
+    constructor() {
+        this.fixedSeed = this.readSeedFromUrl();
+        this.seed = null;
+        this.gameplay = null;
+        this.effects = null;
+        
+        this.startRun();
+    }
+    
+    readSeedFromUrl() {
+        try {
+            const params = new URLSearchParams(window.location.search);
+            const seed = params.get(GameConfig.random.urlParam);
+            
+            if (!seed) return null;
+            
+            // Everyone playing the daily challenge gets the same waves
+            if (seed === GameConfig.random.dailyKeyword) {
+                return 'daily-' + new Date().toISOString().slice(0, 10);
+            }
+            
+            return seed;
+        } catch (error) {
+            window.gameErrorHandler.handleSystemError('GameRandom', error, { phase: 'url_seed' });
+            return null;
+        }
+    }
+    
+    createSeed() {
+        return Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+    }
+    
+    /**
+     * Reseed both streams for a new run - the URL seed if one was given, otherwise a fresh one
+     * @param {string} seed - Seed to use instead (e.g. from a replay)
+     * @returns {string} The seed for this run
+     */
+    startRun(seed = this.fixedSeed || this.createSeed()) {
+        this.seed = seed;
+        
+        // Cosmetic effects get their own stream so they can never shift the gameplay sequence
+        this.gameplay = new Phaser.Math.RandomDataGenerator([this.seed]);
+        this.effects = new Phaser.Math.RandomDataGenerator([this.seed + ':effects']);
+        
+        console.log(`GameRandom: ✓ Run seeded with "${this.seed}"`);
+        return this.seed;
+    }
+    
+    getSeed() {
+        return this.seed;
+    }
+    
+    isFixedSeed() {
+        return this.fixedSeed !== null;
+    }
+}
+
+// Create global random service instance
+window.gameRandom = new GameRandom();
+window.GameRandom = GameRandom; 
\ No newline at end of file
@@ -4,35 +4,66 @@
  */
 
 class GameScene extends Phaser.Scene {
-    constructor() {
-        super({ key: 'GameScene' });
+    constructor(config = { key: 'GameScene' }) {
+        super(config);
         
         // Game state
         this.score = GameConfig.initialScore;
         this.level = GameConfig.initialLevel;
+        this.campaign = null;
+        this.isTransitioning = false;
+        this.transitionTimer = null;
+        this.bossFought = false;
         
         // Managers (will be initialized in create())
         this.player = null;
         this.enemyManager = null;
         this.bulletManager = null;
         this.effectsManager = null;
+        this.feedbackManager = null;
         this.collisionManager = null;
+        this.powerUpManager = null;
+        this.bossManager = null;
         this.audioManager = null;
         this.touchController = null;
+        this.gamepadController = null;
+        this.performanceOverlay = null;
+        this.debugConsole = null;
+        this.inputRecorder = null;
+        this.inputMap = null;
         
         // UI elements
         this.scoreText = null;
         this.livesText = null;
         this.levelText = null;
-        
-        // Input
-        this.restartKey = null;
-        this.menuKey = null;
+        this.bannerText = null;
+    }
+    
+    init(data) {
+        // Every run starts fresh, picking up the campaign handed over by the menu
+        this.campaign = data.campaign || new CampaignState();
+        window.gameRandom.startRun(data.seed);
+        this.score = GameConfig.initialScore;
+        this.level = GameConfig.initialLevel;
+        this.isTransitioning = false;
+        this.transitionTimer = null;
+        this.bossFought = false;
+        this.accumulator = 0;
+        this.simTime = 0; // ms of simulation run so far
+        this.simClock = new SimClock(this); // gameplay timers and tweens, advanced by step()
+        this.timeScale = 1; // set from the debug console
+        this.cheatsUsed = false; // stays set through restarts, as god mode and time scale carry over
+        this.initialsTimer = null;
+        this.highScoreRank = -1;
+        this.finalScore = 0; // score when the player died; bullets still in flight can't add to it
     }
     
     create() {
         console.log('=== GameScene create() started ===');
         
+        // Rebindable keyboard actions, read by the player and this scene
+        this.inputMap = new InputMap(this);
+        
         try {
             // Initialize audio manager first
             console.log('1. Creating AudioManager...');
@@ -58,14 +89,45 @@ class GameScene extends Phaser.Scene {
             this.enemyManager = new EnemyManager(this);
             console.log('✓ EnemyManager created successfully');
             
-            console.log('6. Creating CollisionManager...');
+            console.log('6. Creating PowerUpManager...');
+            this.powerUpManager = new PowerUpManager(this);
+            console.log('✓ PowerUpManager created successfully');
+            
+            console.log('7. Creating BossManager...');
+            this.bossManager = new BossManager(this);
+            console.log('✓ BossManager created successfully');
+            
+            console.log('8. Creating CollisionManager...');
             this.collisionManager = new CollisionManager(this, this.player, this.bulletManager);
             console.log('✓ CollisionManager created successfully');
             
-            console.log('7. Creating TouchController...');
+            console.log('9. Creating TouchController...');
             this.touchController = new TouchController(this);
             console.log('✓ TouchController created successfully');
             
+            console.log('10. Creating InputRecorder...');
+            this.inputRecorder = new InputRecorder();
+            console.log('✓ InputRecorder created successfully');
+            
+            console.log('11. Creating GamepadController...');
+            this.gamepadController = new GamepadController(this);
+            console.log('✓ GamepadController created successfully');
+            
+            console.log('12. Creating PerformanceOverlay...');
+            this.performanceOverlay = new PerformanceOverlay(this);
+            console.log('✓ PerformanceOverlay created successfully');
+            
+            console.log('13. Creating DebugConsole...');
+            this.debugConsole = this.createDebugConsole();
+            console.log(this.debugConsole ? '✓ DebugConsole created successfully' : '✓ DebugConsole skipped (add ?debug=1 to enable)');
+            
+            console.log('14. Creating FeedbackManager...');
+            this.feedbackManager = new FeedbackManager(this);
+            console.log('✓ FeedbackManager created successfully');
+            
+            // Volumes, auto-fire and touch layout from the settings screen
+            window.gameSettings.applyTo(this);
+        
         } catch (error) {
             console.error('❌ Error initializing managers:', error);
             window.gameErrorHandler.handleSystemError('GameScene', error, { phase: 'manager_initialization' });
@@ -82,17 +144,13 @@ class GameScene extends Phaser.Scene {
         // Start game
         console.log('=== Starting game ===');
         try {
-            console.log('Spawning enemy formation...');
-            this.enemyManager.spawnEnemyFormation();
-            console.log('✓ Enemy formation spawned');
-            
-            console.log('Adding enemy visual effects...');
-            this.effectsManager.addEnemyVisualEffects(this.enemyManager.getEnemies());
-            console.log('✓ Enemy visual effects added');
-            
-            // Play level start sound
-            this.audioManager.playLevelUp();
+            this.effectsManager.setPalette(this.campaign.getPalette());
             
+            console.log('Starting stage...');
+            this.beginStage();
+            this.startRecording();
+            console.log('✓ Stage started');
+        
         } catch (error) {
             console.error('❌ Error starting game:', error);
             window.gameErrorHandler.handleSystemError('GameScene', error, { phase: 'game_start' });
@@ -123,32 +181,48 @@ class GameScene extends Phaser.Scene {
     
     addAudioControls() {
         // Audio toggle button
-        const audioButton = this.add.rectangle(GameConfig.width - 100, 30, 80, 30, 0x00ff00)
+        this.audioButton = this.add.rectangle(GameConfig.width - 100, 30, 80, 30, 0x00ff00)
             .setInteractive();
         
-        const audioText = this.add.text(GameConfig.width - 100, 30, 'AUDIO ON', {
+        this.audioText = this.add.text(GameConfig.width - 100, 30, 'AUDIO ON', {
             fontSize: '12px',
             fill: '#000',
             fontFamily: 'Courier New',
             fontWeight: 'bold'
         }).setOrigin(0.5);
         
-        audioButton.on('pointerdown', () => {
-            if (this.audioManager.isEnabled()) {
-                this.audioManager.disable();
-                audioText.setText('AUDIO OFF');
-                audioButton.setFillStyle(0xff0000);
-            } else {
-                this.audioManager.enable();
-                audioText.setText('AUDIO ON');
-                audioButton.setFillStyle(0x00ff00);
-            }
-        });
+        this.audioButton.on('pointerdown', () => this.toggleAudio());
+        this.refreshAudioButton();
+    }
+    
+    // Shared by the AUDIO button and the settings menu
+    toggleAudio() {
+        if (this.audioManager.isEnabled()) {
+            this.audioManager.disable();
+        } else {
+            this.audioManager.enable();
+        }
+        
+        this.refreshAudioButton();
+    }
+    
+    refreshAudioButton() {
+        const enabled = this.audioManager.isEnabled();
+        this.audioText.setText(enabled ? 'AUDIO ON' : 'AUDIO OFF');
+        this.audioButton.setFillStyle(enabled ? 0x00ff00 : 0xff0000);
     }
     
     setupInput() {
-        this.restartKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.R);
-        this.menuKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
+        // Keys pressed in a scene running on top (e.g. initials entry) mustn't leak back in
+        const onResume = (sys, data) => this.onResume(data);
+        this.events.on('resume', onResume);
+        
+        // Scene events outlive a restart, so the listener goes with the scene
+        this.events.once('shutdown', () => this.events.off('resume', onResume));
+        
+        // Switching tabs or minimising the browser pauses the run
+        this.game.events.on(Phaser.Core.Events.HIDDEN, this.pauseGame, this);
+        this.events.once('shutdown', () => this.game.events.off(Phaser.Core.Events.HIDDEN, this.pauseGame, this));
         
         // Add click handler for restart
         this.input.on('pointerdown', () => {
@@ -158,48 +232,205 @@ class GameScene extends Phaser.Scene {
         });
     }
     
-    update() {
+    update(time, delta) {
         try {
-            // Update player
-            if (this.player && this.player.sprite.active) {
-                this.player.update();
-            }
+            this.performanceOverlay.update(delta);
+            this.feedbackManager.update(delta);
             
-            // Update touch controller
-            if (this.touchController) {
-                this.touchController.update();
+            // Run the simulation in fixed steps so speeds are the same at any refresh rate.
+            // Gameplay timers, tweens and collisions all live in step(), so holding steps back freezes the whole
+            // simulation for hit-stop, and a replay still runs the same steps whether or not it happens. A kill
+            // partway through a frame's steps holds back the rest of them too
+            if (!this.feedbackManager.isHitStopped()) {
+                this.accumulator += Math.min(delta, GameConfig.maxFrameDelta) * this.timeScale;
             }
             
-            // Update enemy movement
-            if (this.enemyManager) {
-                this.enemyManager.updateEnemyMovement();
+            while (this.accumulator >= GameConfig.fixedTimestep && !this.feedbackManager.isHitStopped()) {
+                this.step(GameConfig.fixedTimestep);
+                this.accumulator -= GameConfig.fixedTimestep;
             }
             
-            // Update bullet cleanup
-            if (this.bulletManager) {
-                this.bulletManager.update();
-            }
-            
-            // Update effects
-            if (this.effectsManager) {
-                this.effectsManager.update();
-            }
+            // Debug console hitbox view, drawn once per rendered frame
+            this.collisionManager.drawHitboxes();
             
             // Handle input
-            if (this.restartKey.isDown) {
+            if (this.inputMap.isDown('restart')) {
                 this.restartGame();
             }
             
-            if (this.menuKey.isDown) {
-                this.scene.start('MenuScene');
+            if (this.inputMap.justDown('pause')) {
+                this.pauseGame();
             }
             
+            if (this.inputMap.justDown('saveReplay') && this.player.isDead() && this.hasReplay()) {
+                this.inputRecorder.download();
+            }
+        
         } catch (error) {
             console.error('Error in update loop:', error);
             window.gameErrorHandler.handleSystemError('GameScene', error, { phase: 'update' });
         }
     }
     
+    // Advance every system by one fixed timestep (delta in ms)
+    step(delta) {
+        // One input snapshot per tick drives the player, and is what replays record
+        const input = this.readInput();
+        this.inputRecorder.record(input);
+        this.simTime += delta;
+        
+        // Wave, fire and attack timers, then ship and boss tweens
+        this.simClock.update(delta);
+        
+        // Update player
+        if (this.player && this.player.sprite.active) {
+            this.player.update(delta, input);
+        }
+        
+        // Update touch controller
+        if (this.touchController) {
+            this.touchController.update(delta, input);
+        }
+        
+        // Update enemy movement
+        if (this.enemyManager) {
+            this.enemyManager.updateEnemyMovement(delta);
+        }
+        
+        // Update bullet movement and cleanup
+        if (this.bulletManager) {
+            this.bulletManager.update(delta);
+        }
+        
+        // Update effects
+        if (this.effectsManager) {
+            this.effectsManager.update(delta);
+        }
+        
+        // Update power-up timers and pickups
+        if (this.powerUpManager) {
+            this.powerUpManager.update(delta);
+        }
+        
+        // Update boss attacks
+        if (this.bossManager) {
+            this.bossManager.update(delta);
+        }
+        
+        // Resolve hits once everything has moved this tick
+        if (this.collisionManager) {
+            this.collisionManager.update();
+        }
+        
+        // Stage is over once every wave has spawned and been shot down or finished its attack run
+        if (this.enemyManager && !this.isTransitioning && !this.bossManager.isActive() &&
+            !this.player.isDead() && this.enemyManager.isStageCleared()) {
+            this.onStageCleared();
+        }
+        
+        // The recording ends with the tick the player died on, along with how the run stood, so playback can be checked
+        if (this.player.isDead() && this.inputRecorder.isRecording()) {
+            this.inputRecorder.stop(this.getRunSummary());
+        }
+    }
+    
+    // Merge keyboard and touch into this tick's input snapshot
+    readInput() {
+        const keys = this.player.readInput();
+        const touch = this.touchController.readInput();
+        const pad = this.gamepadController.readInput();
+        
+        return {
+            left: keys.left,
+            right: keys.right,
+            fire: keys.fire || touch.fire || pad.fire,
+            fireHeld: keys.fireHeld || touch.fireHeld || pad.fireHeld,
+            bomb: keys.bomb || touch.bomb || pad.bomb,
+            touchLeft: touch.touchLeft,
+            touchRight: touch.touchRight,
+            // Snapped to the replay resolution so live play and playback steer identically
+            targetAngle: InputRecorder.snapAngle(pad.targetAngle !== null ? pad.targetAngle : touch.targetAngle)
+        };
+    }
+    
+    // Pool usage for bullets, particles and enemy ships, for the performance overlay
+    getPoolStats() {
+        return {
+            ...this.bulletManager.getPoolStats(),
+            ...this.effectsManager.getPoolStats(),
+            enemies: this.enemyManager.getPoolStats()
+        };
+    }
+    
+    createDebugConsole() {
+        return DebugConsole.isEnabled() ? new DebugConsole(this) : null;
+    }
+    
+    // Freezes the simulation (enemy fire, waves, ship motion) along with the scene's clock and tweens
+    pauseGame() {
+        if (!this.scene.isActive()) return;
+        
+        this.scene.pause();
+        this.scene.launch('PauseScene', { returnTo: this.scene.key });
+    }
+    
+    quitToMenu() {
+        this.scene.start('MenuScene', { showHighScores: this.highScoreRank >= 0, highlightRank: this.highScoreRank });
+    }
+    
+    onResume(data) {
+        // Bindings may have changed on the controls screen
+        this.inputMap.refresh();
+        this.input.keyboard.resetKeys();
+        
+        // Don't fast-forward through the time spent paused
+        this.accumulator = 0;
+        
+        if (data && data.highScoreRank !== undefined) {
+            this.highScoreRank = data.highScoreRank;
+            
+            if (this.highScoreRank >= 0) {
+                this.add.text(GameConfig.centerX, GameConfig.centerY + 185, `You ranked #${this.highScoreRank + 1}!`, {
+                    fontSize: '20px',
+                    fill: '#ffff00',
+                    fontFamily: 'Courier New'
+                }).setOrigin(0.5);
+            }
+        }
+    }
+    
+    qualifiesForHighScore() {
+        return !this.cheatsUsed && window.highScoreTable.qualifies(this.finalScore);
+    }
+    
+    cancelInitialsEntry() {
+        if (this.initialsTimer) {
+            this.initialsTimer.remove();
+            this.initialsTimer = null;
+        }
+    }
+    
+    startRecording() {
+        this.inputRecorder.start(window.gameRandom.getSeed());
+    }
+    
+    // Debug console cheats aren't recorded, so a cheated run wouldn't play back the same
+    hasReplay() {
+        return !this.cheatsUsed && this.inputRecorder.getTickCount() > 0;
+    }
+    
+    // Where the run stands, compared between a recording and its playback; the RNG state catches drift nothing else shows
+    getRunSummary() {
+        return {
+            score: this.score,
+            level: this.level,
+            lives: this.player.getLives(),
+            simTime: Math.round(this.simTime),
+            enemies: this.enemyManager.getEnemyCount(),
+            random: window.gameRandom.gameplay.state()
+        };
+    }
+    
     updateScore() {
         this.scoreText.setText('Score: ' + this.score);
     }
@@ -208,26 +439,179 @@ class GameScene extends Phaser.Scene {
         this.livesText.setText('Lives: ' + this.player.getLives());
     }
     
+    showBanner(text, color = '#00ffff') {
+        if (this.bannerText) {
+            this.tweens.killTweensOf(this.bannerText);
+            this.bannerText.destroy();
+        }
+        
+        const banner = this.add.text(GameConfig.centerX, GameConfig.centerY - 150, text, {
+            fontSize: '28px',
+            fill: color,
+            fontFamily: 'Courier New',
+            fontWeight: 'bold',
+            align: 'center'
+        }).setOrigin(0.5);
+        this.bannerText = banner;
+        
+        this.tweens.add({
+            targets: banner,
+            alpha: 0,
+            delay: GameConfig.campaign.bannerDuration,
+            duration: 500,
+            onComplete: () => {
+                banner.destroy();
+                if (this.bannerText === banner) this.bannerText = null;
+            }
+        });
+    }
+    
+    beginStage() {
+        this.bossFought = false;
+        
+        const chanceStage = this.campaign.isChanceStage();
+        if (chanceStage) {
+            this.enemyManager.startChanceStage(this.campaign.chanceStagesPlayed + 1);
+            this.showBanner(this.campaign.getCurrentPlanet().name.toUpperCase() + '\nCHANCE STAGE', '#ffff00');
+        } else {
+            this.enemyManager.startStage(this.level);
+            this.showBanner(this.campaign.getWarpLabel());
+        }
+        
+        // Play level start sound
+        this.audioManager.playLevelUp();
+        
+        // Stage files can pick their own track
+        const stage = this.enemyManager.getCurrentStage();
+        const music = GameConfig.music;
+        this.audioManager.playMusic((stage && stage.music) || (chanceStage ? music.chanceTrack : music.defaultTrack));
+    }
+    
+    onStageCleared() {
+        if (this.campaign.isChanceStage()) {
+            this.awardChanceBonus();
+            this.campaign.completeChanceStage();
+            this.effectsManager.setPalette(this.campaign.getPalette());
+            
+            // Let the bonus banner show before the next leg starts
+            this.startTransition(GameConfig.campaign.bannerDuration, () => this.nextLevel());
+            return;
+        }
+        
+        // Boss stages and the last warp before each planet end with a boss fight
+        if (!this.bossFought && this.isBossStage()) {
+            this.startBossFight();
+            return;
+        }
+        
+        if (this.campaign.completeWarp()) {
+            this.warpToPlanet();
+        } else {
+            this.nextLevel();
+        }
+    }
+    
+    isBossStage() {
+        const stage = this.enemyManager.getCurrentStage();
+        return (stage !== null && stage.boss) || this.campaign.isFinalWarp();
+    }
+    
+    startBossFight() {
+        this.bossFought = true;
+        this.showBanner('WARNING!\nGUARDIAN APPROACHING', '#ff00ff');
+        this.audioManager.setMusicTempo(GameConfig.music.bossTempo);
+        
+        this.bossManager.startBoss(this.campaign, (bonus) => {
+            this.showBanner('GUARDIAN DESTROYED\nBONUS ' + bonus, '#ffff00');
+            
+            // Carry on to the warp once the payout has been shown
+            this.startTransition(GameConfig.campaign.bannerDuration, () => this.onStageCleared());
+        });
+    }
+    
+    warpToPlanet() {
+        const planet = this.campaign.getCurrentPlanet();
+        console.log(`Warping to ${planet.name}...`);
+        
+        this.isTransitioning = true;
+        this.showBanner('WARP!', '#ffffff');
+        
+        this.effectsManager.playWarpTransition(planet.palette, () => {
+            this.isTransitioning = false;
+            this.beginStage();
+        });
+    }
+    
+    startTransition(delay, callback) {
+        this.isTransitioning = true;
+        this.transitionTimer = this.simClock.delayedCall(delay, () => {
+            this.transitionTimer = null;
+            this.isTransitioning = false;
+            callback();
+        });
+    }
+    
+    cancelTransition() {
+        if (this.transitionTimer) {
+            this.transitionTimer.remove();
+            this.transitionTimer = null;
+        }
+        
+        this.effectsManager.cancelWarp();
+        this.isTransitioning = false;
+    }
+    
+    awardChanceBonus() {
+        const stats = this.enemyManager.getStageStats();
+        const perfect = stats.spawned > 0 && stats.kills === stats.spawned;
+        
+        let bonus = stats.kills * GameConfig.campaign.chanceBonusPerKill;
+        if (perfect) {
+            bonus += GameConfig.campaign.chancePerfectBonus;
+        }
+        
+        this.score += bonus;
+        this.updateScore();
+        this.showBanner((perfect ? 'PERFECT!\n' : '') + 'BONUS ' + bonus, '#ffff00');
+    }
+    
     nextLevel() {
         this.level++;
         this.levelText.setText('Level: ' + this.level);
         
-        // Play level up sound
-        this.audioManager.playLevelUp();
-        
         // Increase enemy speed
         this.enemyManager.increaseSpeed();
         
-        // Spawn new enemy formation
-        this.enemyManager.spawnEnemyFormation();
-        this.effectsManager.addEnemyVisualEffects(this.enemyManager.getEnemies());
+        // Start the next stage
+        this.beginStage();
+    }
+    
+    // Debug console: drop whatever is on screen and start the given level's stage
+    jumpToLevel(level) {
+        this.cancelTransition();
+        this.enemyManager.reset();
+        this.bulletManager.clearEnemyBullets();
+        this.bossManager.reset();
+        
+        this.level = level;
+        this.levelText.setText('Level: ' + this.level);
+        
+        // Enemies speed up every level, as in nextLevel()
+        for (let i = GameConfig.initialLevel; i < level; i++) {
+            this.enemyManager.increaseSpeed();
+        }
+        
+        this.beginStage();
     }
     
     gameOver() {
         console.log('Game Over!');
+        this.finalScore = this.score;
         
         // Play game over sound
-        this.audioManager.playPlayerHit();
+        this.audioManager.playPlayerHit(this.player.sprite.x);
+        this.audioManager.stopMusic();
+        this.feedbackManager.playerDied();
         
         // Show game over text
         const gameOverText = this.add.text(GameConfig.centerX, GameConfig.centerY - 50, 'GAME OVER', {
@@ -244,36 +628,69 @@ class GameScene extends Phaser.Scene {
         }).setOrigin(0.5);
         
         // Add restart instructions
-        this.add.text(GameConfig.centerX, GameConfig.centerY + 100, 'Final Score: ' + this.score, {
+        this.add.text(GameConfig.centerX, GameConfig.centerY + 100, 'Final Score: ' + this.finalScore, {
             fontSize: '20px',
             fill: '#ffff00',
             fontFamily: 'Courier New'
         }).setOrigin(0.5);
+        
+        // Seed lets anyone replay exactly the same waves with ?seed=
+        this.add.text(GameConfig.centerX, GameConfig.centerY + 130, 'Seed: ' + window.gameRandom.getSeed(), {
+            fontSize: '16px',
+            fill: '#aaaaaa',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5);
+        
+        // Qualifying scores go into the table once the game over screen has sunk in
+        if (this.qualifiesForHighScore()) {
+            this.initialsTimer = this.time.delayedCall(GameConfig.highScores.entryDelay, () => {
+                this.initialsTimer = null;
+                this.scene.pause();
+                this.scene.launch('InitialsScene', { score: this.finalScore, level: this.level, returnTo: this.scene.key });
+            });
+        }
+        
+        if (this.hasReplay()) {
+            this.add.text(GameConfig.centerX, GameConfig.centerY + 155, `Press ${window.keyBindings.describe('saveReplay')} to save replay`, {
+                fontSize: '16px',
+                fill: '#aaaaaa',
+                fontFamily: 'Courier New'
+            }).setOrigin(0.5);
+        }
     }
     
     restartGame() {
         console.log('Restarting game...');
         
         // Reset game state
+        this.cancelTransition();
+        this.cancelInitialsEntry();
+        this.highScoreRank = -1;
+        this.finalScore = 0;
         this.score = GameConfig.initialScore;
         this.level = GameConfig.initialLevel;
+        this.campaign = new CampaignState();
+        this.simTime = 0;
+        this.simClock.clear();
+        window.gameRandom.startRun();
         
         // Reset managers
         this.player.reset();
         this.enemyManager.reset();
         this.bulletManager.reset();
+        this.powerUpManager.reset();
+        this.bossManager.reset();
+        this.feedbackManager.reset();
         
         // Update UI
         this.updateScore();
         this.updateLives();
         this.levelText.setText('Level: ' + this.level);
         
-        // Spawn new enemies
-        this.enemyManager.spawnEnemyFormation();
-        this.effectsManager.addEnemyVisualEffects(this.enemyManager.getEnemies());
-        
-        // Play restart sound
-        this.audioManager.playLevelUp();
+        // Start again from the first stage
+        this.effectsManager.setPalette(this.campaign.getPalette());
+        this.beginStage();
+        this.startRecording();
     }
 }
 
@@ -0,0 +1,84 @@
+/**
+ * Game Settings Class
+ * Player-facing options persisted in localStorage and applied to a scene's managers
+ */
+
+class GameSettings {
+    constructor() {
+        this.values = { ...GameConfig.settings.defaults };
+        
+        // Until the player chooses, follow the system's reduced motion preference
+        if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            this.values.reduceMotion = true;
+        }
+        
+        this.load();
+    }
+    
+    load() {
+        try {
+            const raw = window.localStorage.getItem(GameConfig.settings.storageKey);
+            if (!raw) return;
+            
+            const stored = JSON.parse(raw);
+            
+            // Only keep known options with the right type, so old or hand-edited data can't break anything
+            Object.keys(this.values).forEach((key) => {
+                if (stored && typeof stored[key] === typeof this.values[key]) {
+                    this.values[key] = stored[key];
+                }
+            });
+            console.log('GameSettings: ✓ Settings loaded');
+        } catch (error) {
+            console.error('GameSettings: Failed to load settings:', error);
+            window.gameErrorHandler.handleSystemError('GameSettings', error, { phase: 'load' });
+        }
+    }
+    
+    save() {
+        try {
+            window.localStorage.setItem(GameConfig.settings.storageKey, JSON.stringify(this.values));
+        } catch (error) {
+            console.error('GameSettings: Failed to save settings:', error);
+            window.gameErrorHandler.handleSystemError('GameSettings', error, { phase: 'save' });
+        }
+    }
+    
+    get(key) {
+        return this.values[key];
+    }
+    
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+    }
+    
+    /**
+     * Push the current settings into a game scene's managers
+     * @param {GameScene} scene - Scene whose managers should pick up the settings
+     */
+    applyTo(scene) {
+        try {
+            if (scene.audioManager) {
+                scene.audioManager.setMasterVolume(this.values.masterVolume);
+                scene.audioManager.setVolume(this.values.sfxVolume);
+                scene.audioManager.setMusicVolume(this.values.musicVolume);
+                scene.audioManager.setUiVolume(this.values.uiVolume);
+            }
+            
+            if (scene.touchController) {
+                scene.touchController.setLayout(this.values.touchLayout);
+                scene.touchController.setAutoFire(this.values.autoFire);
+                scene.touchController.setSteering(this.values.touchSteering);
+                scene.touchController.setMouseSteering(this.values.mouseSteering);
+            }
+        } catch (error) {
+            console.error('GameSettings: Failed to apply settings:', error);
+            window.gameErrorHandler.handleSystemError('GameSettings', error, { phase: 'apply' });
+        }
+    }
+}
+
+// Create global settings instance
+window.gameSettings = new GameSettings();
+window.GameSettings = GameSettings; 
\ No newline at end of file
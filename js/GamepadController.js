@@ -0,0 +1,170 @@
+/**
+ * Gamepad Controller Class
+ * Handles Phaser gamepad input: left stick aiming, face buttons, Start to pause, rumble and hot-plugging
+ */
+
+class GamepadController {
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = false;
+        this.pad = null;
+        this.statusText = null;
+        this.statusTimer = null;
+        
+        // Button presses wait for the next simulation tick so replays see them
+        this.pendingFire = false;
+        this.pendingBomb = false;
+        
+        this.setupGamepad();
+    }
+    
+    setupGamepad() {
+        const gamepad = this.scene.input.gamepad;
+        
+        if (!gamepad) {
+            console.log('GamepadController: Gamepad plugin not available, skipping');
+            return;
+        }
+        
+        this.enabled = true;
+        this.createStatusText();
+        
+        gamepad.on('connected', this.onConnected, this);
+        gamepad.on('disconnected', this.onDisconnected, this);
+        gamepad.on('down', this.onButtonDown, this);
+        
+        // Browsers only report pads after a button press, but one may already be known from an earlier scene
+        if (gamepad.total > 0) {
+            this.pad = gamepad.getAll()[0];
+            this.showStatus(false);
+        }
+        
+        this.scene.events.once('shutdown', () => {
+            gamepad.off('connected', this.onConnected, this);
+            gamepad.off('disconnected', this.onDisconnected, this);
+            gamepad.off('down', this.onButtonDown, this);
+        });
+        
+        console.log('GamepadController: ✓ Gamepad support enabled');
+    }
+    
+    createStatusText() {
+        this.statusText = this.scene.add.text(GameConfig.width - 100, 58, '', {
+            fontSize: '12px',
+            fill: '#00ffff',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+    }
+    
+    onConnected(pad) {
+        console.log(`GamepadController: Connected "${pad.id}"`);
+        this.pad = pad;
+        this.showStatus(true);
+    }
+    
+    onDisconnected(pad) {
+        console.log(`GamepadController: Disconnected "${pad.id}"`);
+        if (pad !== this.pad) return;
+        
+        // Fall back to any other pad still plugged in
+        const remaining = this.scene.input.gamepad.getAll().filter(other => other !== pad && other.connected);
+        this.pad = remaining.length > 0 ? remaining[0] : null;
+        this.showStatus(true);
+        
+        // Losing the pad mid-run shouldn't cost a life
+        if (!this.pad) {
+            this.scene.pauseGame();
+        }
+    }
+    
+    onButtonDown(pad, button) {
+        // Whichever pad was pressed last is the one we read
+        this.pad = pad;
+        const buttons = GameConfig.gamepad.buttons;
+        
+        if (buttons.fire.includes(button.index)) {
+            this.pendingFire = true;
+        } else if (buttons.bomb.includes(button.index)) {
+            this.pendingBomb = true;
+        } else if (buttons.pause.includes(button.index)) {
+            this.scene.pauseGame();
+        }
+    }
+    
+    // Flash a connect/disconnect message, then leave a small indicator while a pad is in use
+    showStatus(announce) {
+        if (!this.statusText) return;
+        
+        if (this.statusTimer) {
+            this.statusTimer.remove();
+            this.statusTimer = null;
+        }
+        
+        const indicator = this.pad ? '🎮 PAD' : '';
+        
+        if (!announce) {
+            this.statusText.setText(indicator);
+            return;
+        }
+        
+        this.statusText.setText(this.pad ? 'PAD CONNECTED' : 'PAD DISCONNECTED');
+        this.statusTimer = this.scene.time.delayedCall(GameConfig.gamepad.statusDuration, () => {
+            this.statusText.setText(indicator);
+            this.statusTimer = null;
+        });
+    }
+    
+    // Snapshot the pad for one simulation tick
+    readInput() {
+        const input = {
+            fire: this.pendingFire,
+            fireHeld: false,
+            bomb: this.pendingBomb,
+            targetAngle: null
+        };
+        
+        this.pendingFire = false;
+        this.pendingBomb = false;
+        
+        if (!this.enabled || !this.pad || !this.pad.connected) {
+            return input;
+        }
+        
+        input.fireHeld = GameConfig.gamepad.buttons.fire.some(index => this.isButtonDown(index));
+        
+        // The stick points where the ship should go on the rim, like the original's joystick
+        const stick = this.pad.leftStick;
+        if (stick.length() >= GameConfig.gamepad.deadzone) {
+            input.targetAngle = Math.atan2(stick.y, stick.x);
+        }
+        
+        return input;
+    }
+    
+    isButtonDown(index) {
+        const button = this.pad.buttons[index];
+        return !!button && button.pressed;
+    }
+    
+    rumble() {
+        if (!this.pad || !window.gameSettings.get('rumble')) return;
+        
+        // Not every browser or pad exposes a vibration actuator
+        const actuator = this.pad.vibration;
+        if (!actuator || typeof actuator.playEffect !== 'function') return;
+        
+        const config = GameConfig.gamepad.rumble;
+        actuator.playEffect('dual-rumble', {
+            duration: config.duration,
+            strongMagnitude: config.strong,
+            weakMagnitude: config.weak
+        }).catch(() => {});
+    }
+    
+    isConnected() {
+        return !!this.pad && this.pad.connected;
+    }
+}
+
+window.GamepadController = GamepadController; 
\ No newline at end of file
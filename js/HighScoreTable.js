@@ -0,0 +1,149 @@
+/**
+ * High Score Table Class
+ * Arcade-style top-10 table persisted in localStorage, with versioned storage
+ * so tables saved by older versions of the game are migrated rather than lost
+ */
+
+class HighScoreTable {
+    constructor() {
+        this.entries = [];
+        this.readOnly = false;
+        
+        this.load();
+    }
+    
+    load() {
+        try {
+            const raw = window.localStorage.getItem(GameConfig.highScores.storageKey);
+            if (!raw) {
+                this.entries = [];
+                return;
+            }
+            
+            const table = this.migrate(JSON.parse(raw));
+            this.entries = table ? table.entries.filter(entry => this.isValidEntry(entry)) : [];
+            console.log(`HighScoreTable: ✓ Loaded ${this.entries.length} scores`);
+        } catch (error) {
+            console.error('HighScoreTable: Failed to load high scores:', error);
+            window.gameErrorHandler.handleSystemError('HighScoreTable', error, { phase: 'load' });
+            this.entries = [];
+        }
+    }
+    
+    /**
+     * Upgrade a stored table one version at a time to the current schema
+     * @param {object} table - Parsed table as it was stored
+     * @returns {object|null} Table in the current schema, or null if it can't be used
+     */
+    migrate(table) {
+        const currentVersion = GameConfig.highScores.version;
+        let migrated = table;
+        
+        if (!migrated || typeof migrated.version !== 'number' || !Array.isArray(migrated.entries)) {
+            window.gameErrorHandler.handleError('High Score Table Unreadable', 'Stored table has no version or entries', {
+                storageKey: GameConfig.highScores.storageKey
+            });
+            return null;
+        }
+        
+        // Saved by a newer build - show it, but never overwrite it with an older schema
+        if (migrated.version > currentVersion) {
+            console.warn(`HighScoreTable: Table version ${migrated.version} is newer than ${currentVersion}, not saving over it`);
+            this.readOnly = true;
+            return migrated;
+        }
+        
+        while (migrated.version < currentVersion) {
+            const step = HighScoreTable.MIGRATIONS[migrated.version];
+            
+            if (!step) {
+                window.gameErrorHandler.handleError('High Score Migration Failed', `No migration from version ${migrated.version}`, {
+                    storageKey: GameConfig.highScores.storageKey
+                });
+                return null;
+            }
+            
+            migrated = step(migrated);
+            console.log(`HighScoreTable: Migrated table to version ${migrated.version}`);
+        }
+        
+        if (table.version !== currentVersion) {
+            this.entries = migrated.entries;
+            this.save();
+        }
+        
+        return migrated;
+    }
+    
+    save() {
+        if (this.readOnly) return;
+        
+        try {
+            window.localStorage.setItem(GameConfig.highScores.storageKey, JSON.stringify({
+                version: GameConfig.highScores.version,
+                entries: this.entries
+            }));
+        } catch (error) {
+            console.error('HighScoreTable: Failed to save high scores:', error);
+            window.gameErrorHandler.handleSystemError('HighScoreTable', error, { phase: 'save' });
+        }
+    }
+    
+    isValidEntry(entry) {
+        return entry &&
+               typeof entry.initials === 'string' &&
+               typeof entry.score === 'number' && isFinite(entry.score);
+    }
+    
+    getEntries() {
+        return this.entries;
+    }
+    
+    qualifies(score) {
+        if (score <= 0) return false;
+        if (this.entries.length < GameConfig.highScores.size) return true;
+        
+        return score > this.entries[this.entries.length - 1].score;
+    }
+    
+    /**
+     * Insert a score in rank order and persist the table
+     * @param {string} initials - Player's initials
+     * @param {number} score - Final score
+     * @param {number} level - Level the run reached
+     * @returns {number} Rank index from 0, or -1 if it didn't make the table
+     */
+    add(initials, score, level) {
+        if (!this.qualifies(score)) return -1;
+        
+        const entry = {
+            initials: initials,
+            score: score,
+            level: level,
+            date: new Date().toISOString().slice(0, 10)
+        };
+        
+        // Ties go below existing scores, as in the arcade
+        let rank = this.entries.findIndex(existing => score > existing.score);
+        if (rank === -1) rank = this.entries.length;
+        
+        this.entries.splice(rank, 0, entry);
+        this.entries = this.entries.slice(0, GameConfig.highScores.size);
+        this.save();
+        
+        console.log(`HighScoreTable: ✓ ${initials} ranked #${rank + 1} with ${score}`);
+        return rank;
+    }
+    
+    getTopScore() {
+        return this.entries.length > 0 ? this.entries[0].score : 0;
+    }
+}
+
+// Schema upgrades keyed by the version they upgrade from - add one whenever
+// GameConfig.highScores.version is bumped, returning the table at version + 1
+HighScoreTable.MIGRATIONS = {};
+
+// Create global high score table instance
+window.highScoreTable = new HighScoreTable();
+window.HighScoreTable = HighScoreTable; 
\ No newline at end of file
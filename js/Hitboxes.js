@@ -0,0 +1,172 @@
+/**
+ * Hitboxes
+ * Precise collision shapes from GameConfig.collisionShapes, checked after the arcade bodies overlap.
+ * Arcade bodies follow the sprite's scale, pulse tweens included, so they only act as the broad phase;
+ * these shapes are scaled by each sprite's hitbox scale and rotated with it.
+ */
+
+const Hitboxes = {
+    /**
+     * Key into GameConfig.collisionShapes - the texture, unless the sprite shares a shape (e.g. pickups)
+     * @param {Phaser.GameObjects.Sprite} sprite - Sprite to look up
+     * @returns {string} Shape key
+     */
+    getShapeKey(sprite) {
+        return sprite.collisionShapeKey || sprite.texture.key;
+    },
+    
+    /**
+     * Scale the shape is drawn at; ships report their resting scale while pulsing
+     * @param {Phaser.GameObjects.Sprite} sprite - Sprite to measure
+     * @returns {number} Scale multiplier
+     */
+    getScale(sprite) {
+        return typeof sprite.getHitboxScale === 'function' ? sprite.getHitboxScale() : sprite.scaleX;
+    },
+    
+    /**
+     * A sprite's collision shape in world space
+     * @param {Phaser.GameObjects.Sprite} sprite - Sprite with a centered origin
+     * @returns {{type: string, x: number, y: number, radius: number}|{type: string, points: Array<{x: number, y: number}>}}
+     *          A circle, or a convex polygon; textures without a shape use their whole frame
+     */
+    getShape(sprite) {
+        const definition = GameConfig.collisionShapes[this.getShapeKey(sprite)];
+        const scale = this.getScale(sprite);
+        const cos = Math.cos(sprite.rotation);
+        const sin = Math.sin(sprite.rotation);
+        const toWorld = ([x, y]) => ({
+            x: sprite.x + (x * cos - y * sin) * scale,
+            y: sprite.y + (x * sin + y * cos) * scale
+        });
+        
+        if (definition && definition.type === 'circle') {
+            const center = toWorld([definition.x || 0, definition.y || 0]);
+            return { type: 'circle', x: center.x, y: center.y, radius: definition.radius * scale };
+        }
+        
+        if (definition && definition.type === 'polygon') {
+            return { type: 'polygon', points: definition.points.map(toWorld) };
+        }
+        
+        const halfWidth = sprite.frame.width / 2;
+        const halfHeight = sprite.frame.height / 2;
+        return {
+            type: 'polygon',
+            points: [[-halfWidth, -halfHeight], [halfWidth, -halfHeight], [halfWidth, halfHeight], [-halfWidth, halfHeight]].map(toWorld)
+        };
+    },
+    
+    /**
+     * Narrow phase check, used as the process callback of the arcade overlaps
+     * @param {Phaser.GameObjects.Sprite} a - First sprite
+     * @param {Phaser.GameObjects.Sprite} b - Second sprite
+     * @returns {boolean} True if their collision shapes touch
+     */
+    overlaps(a, b) {
+        const shapeA = this.getShape(a);
+        const shapeB = this.getShape(b);
+        
+        if (shapeA.type === 'circle' && shapeB.type === 'circle') {
+            const reach = shapeA.radius + shapeB.radius;
+            return Phaser.Math.Distance.Squared(shapeA.x, shapeA.y, shapeB.x, shapeB.y) <= reach * reach;
+        }
+        
+        if (shapeA.type === 'circle') {
+            return this.circleTouchesPolygon(shapeA, shapeB.points);
+        }
+        
+        if (shapeB.type === 'circle') {
+            return this.circleTouchesPolygon(shapeB, shapeA.points);
+        }
+        
+        return this.polygonsOverlap(shapeA.points, shapeB.points);
+    },
+    
+    // Plain arithmetic rather than Phaser.Geom objects, since this runs for every overlapping pair each step
+    circleTouchesPolygon(circle, points) {
+        if (this.containsPoint(points, circle.x, circle.y)) return true;
+        
+        const radiusSquared = circle.radius * circle.radius;
+        return points.some((point, i) => {
+            const next = points[(i + 1) % points.length];
+            return this.distanceToEdgeSquared(circle.x, circle.y, point, next) <= radiusSquared;
+        });
+    },
+    
+    // Inside a convex polygon when the point is on the same side of every edge
+    containsPoint(points, x, y) {
+        let side = 0;
+        
+        return points.every((point, i) => {
+            const next = points[(i + 1) % points.length];
+            const cross = Math.sign((next.x - point.x) * (y - point.y) - (next.y - point.y) * (x - point.x));
+            if (cross === 0) return true;
+            if (side === 0) side = cross;
+            return cross === side;
+        });
+    },
+    
+    distanceToEdgeSquared(x, y, start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0 ? Phaser.Math.Clamp(((x - start.x) * dx + (y - start.y) * dy) / lengthSquared, 0, 1) : 0;
+        
+        return Phaser.Math.Distance.Squared(x, y, start.x + dx * t, start.y + dy * t);
+    },
+    
+    // Separating axis test - convex polygons only, which the shape editor enforces
+    polygonsOverlap(pointsA, pointsB) {
+        const axes = this.getAxes(pointsA).concat(this.getAxes(pointsB));
+        
+        return axes.every((axis) => {
+            const a = this.projectPoints(pointsA, axis);
+            const b = this.projectPoints(pointsB, axis);
+            return a.min <= b.max && b.min <= a.max;
+        });
+    },
+    
+    getAxes(points) {
+        return points.map((point, i) => {
+            const next = points[(i + 1) % points.length];
+            return { x: point.y - next.y, y: next.x - point.x };
+        });
+    },
+    
+    projectPoints(points, axis) {
+        const values = points.map(point => point.x * axis.x + point.y * axis.y);
+        return { min: Math.min(...values), max: Math.max(...values) };
+    },
+    
+    /**
+     * Check a shape definition before it goes into GameConfig.collisionShapes
+     * @param {Object} definition - {type: 'circle', radius, x?, y?} or {type: 'polygon', points: [[x, y], ...]}
+     * @returns {string|null} What's wrong with it, or null if it's usable
+     */
+    validate(definition) {
+        if (definition.type === 'circle') {
+            if (!(definition.radius > 0)) return 'circle radius must be above 0';
+            if (![definition.x, definition.y].every(value => value === undefined || Number.isFinite(value))) return 'circle offset must be numbers';
+            return null;
+        }
+        
+        if (definition.type !== 'polygon') return `unknown shape type "${definition.type}"`;
+        
+        const points = definition.points;
+        if (!Array.isArray(points) || points.length < 3) return 'polygon needs at least 3 points';
+        if (!points.every(point => point.length === 2 && point.every(Number.isFinite))) return 'polygon points must be x,y numbers';
+        
+        // Every turn has to go the same way for the polygon to be convex
+        const turns = points.map((point, i) => {
+            const next = points[(i + 1) % points.length];
+            const after = points[(i + 2) % points.length];
+            return Math.sign((next[0] - point[0]) * (after[1] - next[1]) - (next[1] - point[1]) * (after[0] - next[0]));
+        }).filter(turn => turn !== 0);
+        
+        if (turns.length === 0 || !turns.every(turn => turn === turns[0])) return 'polygon must be convex';
+        return null;
+    }
+};
+
+window.Hitboxes = Hitboxes; 
\ No newline at end of file
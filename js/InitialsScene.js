@@ -0,0 +1,154 @@
+/**
+ * Initials Scene Class
+ * Arcade-style three-letter initials entry for a qualifying score, by keyboard or touch
+ */
+
+class InitialsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'InitialsScene' });
+        
+        this.score = 0;
+        this.level = 1;
+        this.returnTo = null;
+        this.letters = [];
+        this.cursor = 0;
+        this.slotTexts = [];
+        this.confirmed = false;
+    }
+    
+    init(data) {
+        this.score = data.score;
+        this.level = data.level;
+        this.returnTo = data.returnTo;
+        this.letters = GameConfig.highScores.defaultInitials.split('');
+        this.cursor = 0;
+        this.slotTexts = [];
+        this.confirmed = false;
+    }
+    
+    create() {
+        // Dim the frozen game underneath
+        this.add.rectangle(0, 0, GameConfig.width, GameConfig.height, 0x000000, 0.8).setOrigin(0, 0);
+        
+        this.add.text(GameConfig.centerX, 140, 'NEW HIGH SCORE!', {
+            fontSize: '36px',
+            fill: '#ffff00',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        this.add.text(GameConfig.centerX, 190, String(this.score), {
+            fontSize: '24px',
+            fill: '#ffffff',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5);
+        
+        this.letters.forEach((letter, i) => this.createSlot(i));
+        this.createConfirmButton();
+        
+        this.add.text(GameConfig.centerX, 520, '↑/↓ or type: letter   ←/→: move   ENTER: done', {
+            fontSize: '14px',
+            fill: '#aaaaaa',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5);
+        
+        this.input.keyboard.on('keydown', event => this.handleKey(event));
+        this.refreshSlots();
+    }
+    
+    createSlot(index) {
+        const x = GameConfig.centerX + (index - (this.letters.length - 1) / 2) * 80;
+        
+        this.slotTexts.push(this.add.text(x, 300, this.letters[index], {
+            fontSize: '56px',
+            fill: '#ffffff',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5));
+        
+        // Touch arrows above and below each letter
+        this.createArrow(x, 240, '▲', index, 1);
+        this.createArrow(x, 360, '▼', index, -1);
+    }
+    
+    createArrow(x, y, label, index, direction) {
+        const arrow = this.add.text(x, y, label, {
+            fontSize: '28px',
+            fill: '#00ffff',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5).setInteractive();
+        
+        arrow.on('pointerdown', () => {
+            this.cursor = index;
+            this.cycleLetter(direction);
+        });
+    }
+    
+    createConfirmButton() {
+        const button = this.add.rectangle(GameConfig.centerX, 440, 120, 44, 0x00ff00).setInteractive();
+        
+        this.add.text(GameConfig.centerX, 440, 'OK', {
+            fontSize: '20px',
+            fill: '#000000',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        button.on('pointerdown', () => this.confirm());
+    }
+    
+    handleKey(event) {
+        const key = event.key.toUpperCase();
+        
+        if (/^[A-Z]$/.test(key)) {
+            this.letters[this.cursor] = key;
+            this.moveCursor(1);
+        } else if (event.key === 'ArrowUp') {
+            this.cycleLetter(1);
+        } else if (event.key === 'ArrowDown') {
+            this.cycleLetter(-1);
+        } else if (event.key === 'ArrowLeft' || event.key === 'Backspace') {
+            this.moveCursor(-1);
+        } else if (event.key === 'ArrowRight') {
+            this.moveCursor(1);
+        } else if (event.key === 'Enter') {
+            this.confirm();
+        }
+        
+        this.refreshSlots();
+    }
+    
+    cycleLetter(direction) {
+        const alphabet = InitialsScene.ALPHABET;
+        const index = alphabet.indexOf(this.letters[this.cursor]);
+        
+        this.letters[this.cursor] = alphabet[Phaser.Math.Wrap(index + direction, 0, alphabet.length)];
+        this.refreshSlots();
+    }
+    
+    moveCursor(direction) {
+        this.cursor = Phaser.Math.Clamp(this.cursor + direction, 0, this.letters.length - 1);
+    }
+    
+    refreshSlots() {
+        this.slotTexts.forEach((text, i) => {
+            text.setText(this.letters[i]);
+            text.setFill(i === this.cursor ? '#ffff00' : '#ffffff');
+        });
+    }
+    
+    confirm() {
+        if (this.confirmed) return;
+        this.confirmed = true;
+        
+        const rank = window.highScoreTable.add(this.letters.join(''), this.score, this.level);
+        
+        // Hand control back to the game over screen underneath
+        this.scene.stop();
+        this.scene.resume(this.returnTo, { highScoreRank: rank });
+    }
+}
+
+InitialsScene.ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+window.InitialsScene = InitialsScene; 
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Input Map Class
+ * Resolves abstract game actions against a scene's keyboard using the current key bindings
+ */
+
+class InputMap {
+    constructor(scene) {
+        this.scene = scene;
+        this.keys = {};
+        
+        this.refresh();
+    }
+    
+    // (Re)create the Phaser keys for every action, e.g. after a rebind on the controls screen
+    refresh() {
+        const keyboard = this.scene.input.keyboard;
+        
+        // Drop the old keys first, so a key that's been rebound away stops registering and being captured
+        Object.keys(this.keys).forEach((action) => {
+            this.keys[action].forEach(key => keyboard.removeKey(key, true, true));
+        });
+        this.keys = {};
+        
+        window.keyBindings.getActions().forEach((action) => {
+            this.keys[action] = window.keyBindings.get(action).map(name =>
+                keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[name])
+            );
+        });
+    }
+    
+    isDown(action) {
+        return (this.keys[action] || []).some(key => key.isDown);
+    }
+    
+    justDown(action) {
+        // Check every key rather than stopping at the first, so no stale press is left behind
+        return (this.keys[action] || []).filter(key => Phaser.Input.Keyboard.JustDown(key)).length > 0;
+    }
+}
+
+window.InputMap = InputMap; 
\ No newline at end of file
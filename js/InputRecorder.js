@@ -0,0 +1,206 @@
+/**
+ * Input Recorder Class
+ * Captures the per-tick input snapshot the simulation runs on, together with the run's seed,
+ * and turns it into a compact JSON replay (and back again for ReplayScene)
+ */
+
+class InputRecorder {
+    constructor() {
+        this.seed = null;
+        this.masks = []; // one bitmask per simulation tick
+        this.summary = null; // how the run stood on its last tick (GameScene.getRunSummary)
+        this.recording = false;
+    }
+    
+    start(seed) {
+        this.seed = seed;
+        this.masks = [];
+        this.summary = null;
+        this.recording = true;
+        console.log(`InputRecorder: Recording run with seed "${seed}"`);
+    }
+    
+    /**
+     * Stop recording
+     * @param {object} summary - How the run stood on its last tick, for checking a playback against
+     */
+    stop(summary = null) {
+        if (!this.recording) return;
+        
+        this.recording = false;
+        this.summary = summary;
+        console.log(`InputRecorder: ✓ Recorded ${this.masks.length} ticks`);
+    }
+    
+    isRecording() {
+        return this.recording;
+    }
+    
+    record(input) {
+        if (!this.recording) return;
+        this.masks.push(InputRecorder.encode(input));
+    }
+    
+    getTickCount() {
+        return this.masks.length;
+    }
+    
+    /**
+     * Input snapshot for one tick of a loaded replay
+     * @param {number} tick - Tick index from 0
+     * @returns {object|null} Input snapshot, or null once the replay has run out
+     */
+    getInput(tick) {
+        if (tick >= this.masks.length) return null;
+        return InputRecorder.decode(this.masks[tick]);
+    }
+    
+    // Run-length encode the masks - most ticks repeat the previous input
+    toJSON() {
+        const inputs = [];
+        
+        this.masks.forEach((mask) => {
+            const last = inputs[inputs.length - 1];
+            if (last && last[0] === mask) {
+                last[1]++;
+            } else {
+                inputs.push([mask, 1]);
+            }
+        });
+        
+        return {
+            version: GameConfig.replay.version,
+            seed: this.seed,
+            step: GameConfig.fixedTimestep,
+            ticks: this.masks.length,
+            inputs: inputs,
+            final: this.summary
+        };
+    }
+    
+    // Offer the replay to the player as a .json download
+    download() {
+        try {
+            const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            
+            link.href = url;
+            link.download = `${GameConfig.replay.filePrefix}${this.seed}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+            
+            console.log('InputRecorder: ✓ Replay exported');
+        } catch (error) {
+            console.error('InputRecorder: Failed to export replay:', error);
+            window.gameErrorHandler.handleSystemError('InputRecorder', error, { phase: 'export' });
+        }
+    }
+    
+    static encode(input) {
+        const buttons = InputRecorder.BUTTONS.reduce((mask, button, bit) => (input[button] ? mask | (1 << bit) : mask), 0);
+        
+        // An aimed tick stores its angle step + 1 above the button bits; 0 means no aim
+        if (input.targetAngle === null || input.targetAngle === undefined) return buttons;
+        return buttons + (InputRecorder.angleToStep(input.targetAngle) + 1) * InputRecorder.AIM_SCALE;
+    }
+    
+    static decode(mask) {
+        const input = {};
+        InputRecorder.BUTTONS.forEach((button, bit) => {
+            input[button] = (mask & (1 << bit)) !== 0;
+        });
+        
+        const aim = Math.floor(mask / InputRecorder.AIM_SCALE);
+        input.targetAngle = aim > 0 ? InputRecorder.stepToAngle(aim - 1) : null;
+        return input;
+    }
+    
+    static angleToStep(angle) {
+        const steps = GameConfig.replay.angleSteps;
+        return Phaser.Math.Wrap(Math.round(angle / (Math.PI * 2) * steps), 0, steps);
+    }
+    
+    static stepToAngle(step) {
+        return step / GameConfig.replay.angleSteps * Math.PI * 2;
+    }
+    
+    // Round an aimed angle to what a replay can store (null stays null)
+    static snapAngle(angle) {
+        if (angle === null || angle === undefined) return null;
+        return InputRecorder.stepToAngle(InputRecorder.angleToStep(angle));
+    }
+    
+    static validate(data) {
+        const errors = [];
+        
+        if (!data || typeof data !== 'object') {
+            return ['replay must be a JSON object'];
+        }
+        
+        // Newer formats only add to the mask, so older replays still play
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > GameConfig.replay.version) {
+            errors.push(`version must be between 1 and ${GameConfig.replay.version}`);
+        }
+        
+        if (typeof data.seed !== 'string' || data.seed.length === 0) {
+            errors.push('seed must be a non-empty string');
+        }
+        
+        if (data.step !== GameConfig.fixedTimestep) {
+            errors.push(`step must be ${GameConfig.fixedTimestep} ms (recorded with a different timestep)`);
+        }
+        
+        if (!Array.isArray(data.inputs)) {
+            errors.push('inputs must be an array of [mask, count] pairs');
+            return errors;
+        }
+        
+        let ticks = 0;
+        data.inputs.forEach((entry, i) => {
+            if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || !Number.isInteger(entry[1]) || entry[1] < 1) {
+                errors.push(`inputs[${i}] must be a [mask, count] pair`);
+                return;
+            }
+            ticks += entry[1];
+        });
+        
+        if (errors.length === 0 && data.ticks !== ticks) {
+            errors.push(`ticks must match the ${ticks} ticks in inputs`);
+        }
+        
+        // final is null when the recording stopped without a summary, and then nothing is checked
+        if (data.final !== undefined && data.final !== null && (typeof data.final !== 'object' || Array.isArray(data.final))) {
+            errors.push('final must be an object');
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Build a recorder holding a previously exported replay
+     * @param {object} data - Parsed replay JSON
+     * @returns {InputRecorder} Recorder ready for getInput()
+     */
+    static fromJSON(data) {
+        const recorder = new InputRecorder();
+        recorder.seed = data.seed;
+        recorder.summary = data.final || null;
+        
+        data.inputs.forEach(([mask, count]) => {
+            for (let i = 0; i < count; i++) {
+                recorder.masks.push(mask);
+            }
+        });
+        
+        return recorder;
+    }
+}
+
+// Bit order of the per-tick input mask - append new inputs, never reorder
+InputRecorder.BUTTONS = ['left', 'right', 'fire', 'fireHeld', 'bomb', 'touchLeft', 'touchRight'];
+
+// Aim angles sit above the first 8 mask bits, leaving room for one more button
+InputRecorder.AIM_SCALE = 256;
+
+window.InputRecorder = InputRecorder; 
\ No newline at end of file
@@ -0,0 +1,129 @@
+/**
+ * Key Bindings Class
+ * Keyboard keys bound to each game action, persisted in localStorage
+ */
+
+class KeyBindings {
+    constructor() {
+        this.bindings = KeyBindings.copy(GameConfig.keys);
+        
+        this.load();
+    }
+    
+    load() {
+        try {
+            const raw = window.localStorage.getItem(GameConfig.keyBindings.storageKey);
+            if (!raw) return;
+            
+            const stored = JSON.parse(raw);
+            
+            // Only keep known actions bound to real key names, so old or hand-edited data can't lock anyone out
+            Object.keys(this.bindings).forEach((action) => {
+                const keys = stored && stored[action];
+                
+                if (Array.isArray(keys) && keys.length > 0 && keys.length <= GameConfig.keyBindings.maxKeysPerAction &&
+                    keys.every(name => KeyBindings.isKeyName(name))) {
+                    this.bindings[action] = keys.slice();
+                }
+            });
+            console.log('KeyBindings: ✓ Key bindings loaded');
+        } catch (error) {
+            console.error('KeyBindings: Failed to load key bindings:', error);
+            window.gameErrorHandler.handleSystemError('KeyBindings', error, { phase: 'load' });
+        }
+    }
+    
+    save() {
+        try {
+            window.localStorage.setItem(GameConfig.keyBindings.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.error('KeyBindings: Failed to save key bindings:', error);
+            window.gameErrorHandler.handleSystemError('KeyBindings', error, { phase: 'save' });
+        }
+    }
+    
+    getActions() {
+        return Object.keys(this.bindings);
+    }
+    
+    get(action) {
+        return this.bindings[action] || [];
+    }
+    
+    // Readable list of an action's keys, e.g. "LEFT / A"
+    describe(action) {
+        return this.get(action).join(' / ');
+    }
+    
+    // The other action already using a key, or null when it's free
+    findConflict(keyName, action) {
+        return this.getActions().find(other => other !== action && this.get(other).includes(keyName)) || null;
+    }
+    
+    /**
+     * Put a key into one of an action's slots
+     * @param {string} action - Action to bind
+     * @param {number} slot - Slot index, up to GameConfig.keyBindings.maxKeysPerAction - 1
+     * @param {string} keyName - Phaser.Input.Keyboard.KeyCodes name
+     * @returns {string|null} The action the key is already bound to, or null once bound
+     */
+    bind(action, slot, keyName) {
+        const conflict = this.findConflict(keyName, action);
+        if (conflict) return conflict;
+        
+        const keys = this.get(action).slice();
+        const index = Math.min(slot, keys.length);
+        const existing = keys.indexOf(keyName);
+        
+        // Moving a key to another of the action's slots swaps it with whatever was there
+        if (existing !== -1) {
+            keys[existing] = keys[index];
+        }
+        keys[index] = keyName;
+        
+        this.bindings[action] = keys.filter(name => name !== undefined);
+        this.save();
+        return null;
+    }
+    
+    // Every action keeps at least one key, so clearing the last one is refused
+    unbind(action, slot) {
+        const keys = this.get(action);
+        if (keys.length <= 1 || slot >= keys.length) return false;
+        
+        this.bindings[action] = keys.filter((name, i) => i !== slot);
+        this.save();
+        return true;
+    }
+    
+    resetToDefaults() {
+        this.bindings = KeyBindings.copy(GameConfig.keys);
+        this.save();
+    }
+    
+    // True when a keyboard event's key is bound to the action
+    matches(action, event) {
+        return this.get(action).some(name => Phaser.Input.Keyboard.KeyCodes[name] === event.keyCode);
+    }
+    
+    static copy(bindings) {
+        const copy = {};
+        Object.keys(bindings).forEach((action) => {
+            copy[action] = bindings[action].slice();
+        });
+        return copy;
+    }
+    
+    static isKeyName(name) {
+        return typeof name === 'string' && Phaser.Input.Keyboard.KeyCodes[name] !== undefined;
+    }
+    
+    static nameForKeyCode(keyCode) {
+        const keyCodes = Phaser.Input.Keyboard.KeyCodes;
+        return Object.keys(keyCodes).find(name => keyCodes[name] === keyCode) || null;
+    }
+}
+
+// Create global key bindings instance
+window.keyBindings = new KeyBindings();
+window.KeyBindings = KeyBindings; 
\ No newline at end of file
@@ -19,6 +19,15 @@ class LoadingScene extends Phaser.Scene {
         // Load images with error handling
         this.loadImages();
         
+        // Load stage definitions
+        this.loadStages();
+        
+        // Load music tracks
+        this.loadMusic();
+        
+        // Load recorded sound effects
+        this.loadAudio();
+        
         // Set up load event handlers
         this.setupLoadEvents();
     }
@@ -87,17 +96,79 @@ class LoadingScene extends Phaser.Scene {
                 this.updateProgress();
             });
             
-            this.load.on('loaderror', (file) => {
-                console.warn(`Failed to load image: ${file.key}`);
-                this.assetsLoaded++; // Count as loaded to continue
+            this.load.image(key, path);
+        });
+    }
+    
+    loadStages() {
+        // Stage files are validated later by StageLoader when they are played
+        const stages = { ...GameConfig.assets.stages, ...GameConfig.assets.chanceStages };
+        
+        Object.entries(stages).forEach(([key, path]) => {
+            this.totalAssets++;
+            
+            this.load.on('filecomplete-json-' + key, () => {
+                this.assetsLoaded++;
                 this.updateProgress();
             });
             
-            this.load.image(key, path);
+            this.load.json(key, path);
+        });
+    }
+    
+    loadMusic() {
+        // Tracks are validated by AudioManager when they are first played
+        Object.entries(GameConfig.assets.music).forEach(([key, path]) => {
+            this.totalAssets++;
+            
+            this.load.on('filecomplete-json-' + key, () => {
+                this.assetsLoaded++;
+                this.updateProgress();
+            });
+            
+            this.load.json(key, path);
+        });
+    }
+    
+    loadAudio() {
+        const audio = GameConfig.assets.audio;
+        const device = this.sys.game.device.audio;
+        const formats = GameConfig.assets.audioFormats.filter(format => device[format]);
+        
+        Object.entries(audio).forEach(([key, path]) => {
+            // AudioManager falls back to the procedural sound, but the missing file should still be known about
+            if (formats.length === 0) {
+                window.gameErrorHandler.handleAssetError('audio', key,
+                    new Error(`This browser can't play any of: ${GameConfig.assets.audioFormats.join(', ')}`));
+                return;
+            }
+            
+            this.totalAssets++;
+            
+            this.load.on('filecomplete-audio-' + key, () => {
+                this.assetsLoaded++;
+                this.updateProgress();
+            });
+            
+            // Phaser loads the first of these the device supports
+            this.load.audio(key, formats.map(format => `${path}.${format}`));
         });
     }
     
     setupLoadEvents() {
+        this.load.on('loaderror', (file) => {
+            console.warn(`Failed to load ${file.type}: ${file.key}`);
+            this.assetsLoaded++; // Count as loaded to continue
+            this.updateProgress();
+            
+            if (file.type === 'json') {
+                const assetType = GameConfig.assets.music[file.key] ? 'music' : 'stage';
+                window.gameErrorHandler.handleAssetError(assetType, file.key, new Error(`Could not load or parse ${file.url}`));
+            } else if (file.type === 'audio') {
+                window.gameErrorHandler.handleAssetError('audio', file.key, new Error(`Could not load or decode ${file.url}`));
+            }
+        });
+        
         this.load.on('progress', (value) => {
             this.updateProgress(value);
         });
@@ -6,6 +6,20 @@
 class MenuScene extends Phaser.Scene {
     constructor() {
         super({ key: 'MenuScene' });
+        
+        this.titlePage = null;
+        this.highScorePage = null;
+        this.attractTimer = null;
+        this.startOnHighScores = false;
+        this.highlightRank = -1;
+        this.controlLines = [];
+    }
+    
+    init(data) {
+        // The game can send players straight to the table after a new high score
+        this.startOnHighScores = data.showHighScores === true;
+        this.highlightRank = data.highlightRank !== undefined ? data.highlightRank : -1;
+        this.attractTimer = null;
     }
     
     preload() {
@@ -17,7 +31,7 @@ class MenuScene extends Phaser.Scene {
         console.log('MenuScene create started');
         
         // Set background
-        this.add.rectangle(0, 0, GameConfig.width, GameConfig.height, 0x000011).setOrigin(0, 0);
+        const background = this.add.rectangle(0, 0, GameConfig.width, GameConfig.height, 0x000011).setOrigin(0, 0);
         
         // Add title
         this.add.text(GameConfig.centerX, GameConfig.centerY - 100, 'GYRUSS-STYLE TUBE SHOOTER', {
@@ -56,36 +70,186 @@ class MenuScene extends Phaser.Scene {
         // Add click handler
         startButton.on('pointerdown', () => {
             console.log('Start button clicked - transitioning to game');
-            this.scene.start('GameScene');
+            this.scene.start('GameScene', { campaign: new CampaignState() });
         });
         
-        // Add instructions
-        this.add.text(GameConfig.centerX, GameConfig.centerY + 150, 'CONTROLS:', {
-            fontSize: '16px',
-            fill: '#ffff00',
-            fontFamily: 'Courier New'
-        }).setOrigin(0.5);
+        // Add replay loader
+        const replayButton = this.add.rectangle(GameConfig.centerX - 90, GameConfig.centerY + 105, 160, 30, 0x8800ff)
+            .setInteractive();
         
-        this.add.text(GameConfig.centerX, GameConfig.centerY + 180, 'Arrow Keys: Move Ship', {
+        this.add.text(GameConfig.centerX - 90, GameConfig.centerY + 105, 'LOAD REPLAY', {
             fontSize: '14px',
             fill: '#ffffff',
-            fontFamily: 'Courier New'
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
         }).setOrigin(0.5);
         
-        this.add.text(GameConfig.centerX, GameConfig.centerY + 200, 'Spacebar: Fire', {
+        // Add settings button
+        const settingsButton = this.add.rectangle(GameConfig.centerX + 90, GameConfig.centerY + 105, 160, 30, 0x0088ff)
+            .setInteractive();
+        
+        this.add.text(GameConfig.centerX + 90, GameConfig.centerY + 105, 'SETTINGS', {
             fontSize: '14px',
             fill: '#ffffff',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        settingsButton.on('pointerdown', () => {
+            this.scene.pause();
+            this.scene.launch('SettingsScene', { returnTo: this.scene.key });
+        });
+        
+        this.replayMessage = this.add.text(GameConfig.centerX, GameConfig.centerY + 130, '', {
+            fontSize: '12px',
+            fill: '#ff6666',
             fontFamily: 'Courier New'
         }).setOrigin(0.5);
         
-        this.add.text(GameConfig.centerX, GameConfig.centerY + 220, 'R Key: Restart', {
-            fontSize: '14px',
-            fill: '#ffffff',
+        replayButton.on('pointerdown', () => this.loadReplayFile());
+        
+        // Add instructions
+        this.add.text(GameConfig.centerX, GameConfig.centerY + 150, 'CONTROLS:', {
+            fontSize: '16px',
+            fill: '#ffff00',
             fontFamily: 'Courier New'
         }).setOrigin(0.5);
         
+        // One line per control, listing whatever keys are currently bound
+        this.controlLines = MenuScene.CONTROL_LINES.map((line, i) =>
+            this.add.text(GameConfig.centerX, GameConfig.centerY + 180 + i * 20, '', {
+                fontSize: '14px',
+                fill: '#ffffff',
+                fontFamily: 'Courier New'
+            }).setOrigin(0.5)
+        );
+        this.refreshControlLines();
+        
+        // Bindings may have changed on the controls screen; scene events outlive a stop, so the listener goes with the scene
+        this.events.on('resume', this.refreshControlLines, this);
+        this.events.once('shutdown', () => this.events.off('resume', this.refreshControlLines, this));
+        
+        // Everything but the background makes up the title page of the attract loop
+        this.titlePage = this.add.container(0, 0, this.children.list.filter(child => child !== background));
+        this.highScorePage = this.createHighScorePage();
+        this.showPage(this.startOnHighScores ? this.highScorePage : this.titlePage);
+        this.startAttractTimer();
+        
+        // Any tap on the high score page goes back to the start button
+        this.input.on('pointerdown', () => {
+            if (this.highScorePage.visible) {
+                this.showPage(this.titlePage);
+                this.startAttractTimer();
+            }
+        });
+        
         console.log('MenuScene create completed');
     }
+    
+    refreshControlLines() {
+        MenuScene.CONTROL_LINES.forEach((line, i) => {
+            const keys = line.actions.map(action => window.keyBindings.describe(action)).join(', ');
+            this.controlLines[i].setText(`${keys}: ${line.label}`);
+        });
+    }
+    
+    createHighScorePage() {
+        const page = this.add.container(0, 0);
+        const entries = window.highScoreTable.getEntries();
+        
+        page.add(this.add.text(GameConfig.centerX, 80, 'HIGH SCORES', {
+            fontSize: '32px',
+            fill: '#00ffff',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5));
+        
+        if (entries.length === 0) {
+            page.add(this.add.text(GameConfig.centerX, GameConfig.centerY, 'NO SCORES YET', {
+                fontSize: '20px',
+                fill: '#ffffff',
+                fontFamily: 'Courier New'
+            }).setOrigin(0.5));
+        }
+        
+        entries.forEach((entry, i) => {
+            const line = `${String(i + 1).padStart(2)}. ${entry.initials}  ${String(entry.score).padStart(8)}  LV ${entry.level || 1}`;
+            
+            page.add(this.add.text(GameConfig.centerX, 140 + i * 34, line, {
+                fontSize: '22px',
+                fill: i === this.highlightRank ? '#ffff00' : '#ffffff',
+                fontFamily: 'Courier New'
+            }).setOrigin(0.5));
+        });
+        
+        return page;
+    }
+    
+    startAttractTimer() {
+        if (this.attractTimer) {
+            this.attractTimer.remove();
+        }
+        
+        this.attractTimer = this.time.addEvent({
+            delay: GameConfig.highScores.attractInterval,
+            callback: () => this.showPage(this.titlePage.visible ? this.highScorePage : this.titlePage),
+            loop: true
+        });
+    }
+    
+    showPage(page) {
+        const showTitle = page === this.titlePage;
+        this.titlePage.setVisible(showTitle);
+        this.highScorePage.setVisible(!showTitle);
+        
+        // Hidden buttons must not catch taps meant for the other page
+        this.titlePage.list.forEach((child) => {
+            if (child.input) child.input.enabled = showTitle;
+        });
+    }
+    
+    loadReplayFile() {
+        // Browsers only open the file picker from a real input element
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            
+            file.text()
+                .then(text => this.startReplay(JSON.parse(text)))
+                .catch((error) => {
+                    console.error('MenuScene: Could not read replay file:', error);
+                    window.gameErrorHandler.handleError('Replay Load Failed', error, { file: file.name });
+                    this.replayMessage.setText('Could not read replay file');
+                });
+        });
+        
+        fileInput.click();
+    }
+    
+    startReplay(data) {
+        const errors = InputRecorder.validate(data);
+        
+        if (errors.length > 0) {
+            window.gameErrorHandler.handleError('Replay Load Failed', new Error('Invalid replay file'), { errors: errors });
+            this.replayMessage.setText('Invalid replay: ' + errors[0]);
+            return;
+        }
+        
+        console.log('Replay loaded - transitioning to replay');
+        this.scene.start('ReplayScene', { replay: InputRecorder.fromJSON(data) });
+    }
 }
 
+// Instruction lines on the title page, built from the current key bindings
+MenuScene.CONTROL_LINES = [
+    { actions: ['rotateLeft', 'rotateRight'], label: 'Move Ship' },
+    { actions: ['fire'], label: 'Fire' },
+    { actions: ['bomb'], label: 'Smart Bomb' },
+    { actions: ['restart'], label: 'Restart' },
+    { actions: ['pause'], label: 'Pause' }
+];
+
 window.MenuScene = MenuScene; 
\ No newline at end of file
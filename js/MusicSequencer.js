@@ -0,0 +1,306 @@
+/**
+ * Music Sequencer Class
+ * Web Audio step sequencer for the looping chiptune tracks in assets/music.
+ * Notes are scheduled a little ahead on the audio clock, so timing holds even when frames drop.
+ *
+ * Track format:
+ *   { "name": "...", "bpm": 140, "stepsPerBeat": 4,
+ *     "channels": [{ "wave": "square", "volume": 0.25, "pattern": "A5 G5 A5 - . ..." }] }
+ * Each pattern token is one step: a note (C4, F#3, Bb5), "-" to hold the previous note, or "." for a rest.
+ * Noise channels play a percussion hit on any "x". Channels loop on their own length.
+ */
+
+class MusicSequencer {
+    constructor(audioContext, output) {
+        this.context = audioContext;
+        this.output = output;
+        this.trackKey = null;
+        this.track = null;
+        this.channels = [];
+        this.bus = null;
+        this.timer = null;
+        this.step = 0;
+        this.nextStepTime = 0;
+        this.noiseBuffer = null;
+        
+        // Tempo multiplier, ramped linearly on the audio clock
+        this.tempo = { from: 1, to: 1, start: 0, duration: 0 };
+    }
+    
+    /**
+     * Start a track, or carry on with it (back at normal tempo) if it's already playing
+     * @param {string} key - Track key from GameConfig.assets.music
+     * @param {Object} track - Validated track data
+     */
+    play(key, track) {
+        if (key === this.trackKey && this.isPlaying()) {
+            this.rampTempo(1, GameConfig.music.tempoRamp);
+            return;
+        }
+        
+        this.stop();
+        
+        this.trackKey = key;
+        this.track = track;
+        this.channels = track.channels.map(channel => MusicSequencer.compileChannel(channel));
+        this.tempo = { from: 1, to: 1, start: 0, duration: 0 };
+        this.step = 0;
+        
+        // Every track gets its own bus so the previous one can fade out underneath
+        this.bus = this.context.createGain();
+        this.bus.connect(this.output);
+        
+        this.startScheduler();
+        console.log(`MusicSequencer: Playing "${track.name}"`);
+    }
+    
+    stop() {
+        this.stopScheduler();
+        
+        if (this.bus) {
+            const bus = this.bus;
+            bus.gain.setTargetAtTime(0, this.context.currentTime, GameConfig.music.fadeTime / 3);
+            window.setTimeout(() => bus.disconnect(), GameConfig.music.fadeTime * 1000 + GameConfig.music.lookahead * 1000);
+        }
+        
+        this.bus = null;
+        this.trackKey = null;
+        this.track = null;
+    }
+    
+    // Hold the track where it is, silencing anything already scheduled
+    pause() {
+        if (!this.bus || !this.timer) return;
+        
+        this.stopScheduler();
+        this.bus.gain.setTargetAtTime(0, this.context.currentTime, GameConfig.music.fadeTime / 3);
+    }
+    
+    resume() {
+        if (!this.bus || this.timer) return;
+        
+        this.bus.gain.cancelScheduledValues(this.context.currentTime);
+        this.bus.gain.setTargetAtTime(1, this.context.currentTime, GameConfig.music.fadeTime / 3);
+        this.startScheduler();
+    }
+    
+    isPlaying() {
+        return this.timer !== null;
+    }
+    
+    /**
+     * Speed the track up or slow it down gradually
+     * @param {number} scale - Tempo multiplier to reach (1 = the track's own bpm)
+     * @param {number} duration - Seconds to get there
+     */
+    rampTempo(scale, duration) {
+        const now = this.context.currentTime;
+        
+        this.tempo = { from: this.getTempoScale(now), to: scale, start: now, duration: duration };
+    }
+    
+    getTempoScale(time) {
+        const tempo = this.tempo;
+        if (tempo.duration <= 0) return tempo.to;
+        
+        const progress = Phaser.Math.Clamp((time - tempo.start) / tempo.duration, 0, 1);
+        return tempo.from + (tempo.to - tempo.from) * progress;
+    }
+    
+    startScheduler() {
+        this.nextStepTime = this.context.currentTime + GameConfig.music.fadeTime;
+        this.timer = window.setInterval(() => this.schedule(), GameConfig.music.scheduleInterval);
+        this.schedule();
+    }
+    
+    stopScheduler() {
+        if (this.timer) {
+            window.clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    
+    // Queue every step that starts before the lookahead horizon
+    schedule() {
+        try {
+            const horizon = this.context.currentTime + GameConfig.music.lookahead;
+            
+            while (this.nextStepTime < horizon) {
+                const bpm = this.track.bpm * this.getTempoScale(this.nextStepTime);
+                const stepDuration = 60 / bpm / this.track.stepsPerBeat;
+                
+                this.channels.forEach((channel) => {
+                    const event = channel.events[this.step % channel.events.length];
+                    if (event) {
+                        this.playEvent(channel, event, this.nextStepTime, stepDuration);
+                    }
+                });
+                
+                this.nextStepTime += stepDuration;
+                this.step++;
+            }
+        } catch (error) {
+            console.error('MusicSequencer: Error scheduling notes:', error);
+            window.gameErrorHandler.handleSystemError('MusicSequencer', error, { phase: 'schedule', track: this.trackKey });
+            this.stop();
+        }
+    }
+    
+    playEvent(channel, event, time, stepDuration) {
+        const config = GameConfig.music;
+        const gain = this.context.createGain();
+        const noise = channel.wave === 'noise';
+        const duration = noise ? config.noiseDecay : event.steps * stepDuration * config.gate;
+        let source;
+        
+        if (noise) {
+            source = this.context.createBufferSource();
+            source.buffer = this.getNoiseBuffer();
+            gain.gain.setValueAtTime(channel.volume, time);
+            gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+        } else {
+            source = this.context.createOscillator();
+            source.type = channel.wave;
+            source.frequency.setValueAtTime(event.frequency, time);
+            
+            // Short attack and release so notes don't click
+            gain.gain.setValueAtTime(0, time);
+            gain.gain.linearRampToValueAtTime(channel.volume, time + 0.005);
+            gain.gain.setValueAtTime(channel.volume, time + duration * 0.8);
+            gain.gain.linearRampToValueAtTime(0, time + duration);
+        }
+        
+        source.connect(gain);
+        gain.connect(this.bus);
+        source.start(time);
+        source.stop(time + duration);
+    }
+    
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const length = Math.floor(this.context.sampleRate * GameConfig.music.noiseDecay);
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = window.gameRandom.effects.frac() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
+    
+    destroy() {
+        this.stop();
+        this.noiseBuffer = null;
+    }
+    
+    /**
+     * Turn a channel's pattern into one event (or null) per step
+     * @param {Object} channel - Validated channel data
+     * @returns {{wave: string, volume: number, events: Array<Object|null>}} Playable channel
+     */
+    static compileChannel(channel) {
+        const tokens = channel.pattern.trim().split(/\s+/);
+        const events = tokens.map(() => null);
+        let current = null;
+        
+        tokens.forEach((token, i) => {
+            if (token === '-') {
+                if (current) current.steps++;
+                return;
+            }
+            
+            current = null;
+            if (token === '.') return;
+            
+            current = channel.wave === 'noise' ? { steps: 1 } : { frequency: MusicSequencer.noteFrequency(token), steps: 1 };
+            events[i] = current;
+        });
+        
+        return {
+            wave: channel.wave,
+            volume: channel.volume !== undefined ? channel.volume : GameConfig.music.channelVolume,
+            events: events
+        };
+    }
+    
+    /**
+     * Frequency of a note name
+     * @param {string} name - e.g. "A4", "C#5" or "Bb3"
+     * @returns {number|null} Frequency in Hz, or null if it isn't a note
+     */
+    static noteFrequency(name) {
+        const match = /^([A-G])(#|b)?(\d)$/.exec(name);
+        if (!match) return null;
+        
+        const semitones = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 }[match[1]];
+        const accidental = match[2] === '#' ? 1 : (match[2] === 'b' ? -1 : 0);
+        const midi = (Number(match[3]) + 1) * 12 + semitones + accidental;
+        
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+    
+    /**
+     * Check a track file, in the same spirit as StageLoader.validate
+     * @param {Object} track - Parsed track JSON
+     * @returns {string[]} Problems found, empty if the track is playable
+     */
+    static validate(track) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        
+        if (typeof track !== 'object' || track === null || Array.isArray(track)) {
+            return ['track must be an object'];
+        }
+        
+        if (typeof track.name !== 'string' || track.name.length === 0) {
+            errors.push('name must be a non-empty string');
+        }
+        
+        if (!(isNumber(track.bpm) && track.bpm > 0)) {
+            errors.push('bpm must be a positive number');
+        }
+        
+        if (!Number.isInteger(track.stepsPerBeat) || track.stepsPerBeat < 1) {
+            errors.push('stepsPerBeat must be a positive integer');
+        }
+        
+        if (!Array.isArray(track.channels) || track.channels.length === 0) {
+            errors.push('channels must be a non-empty array');
+            return errors;
+        }
+        
+        track.channels.forEach((channel, index) => {
+            const prefix = `channels[${index}]`;
+            
+            if (typeof channel !== 'object' || channel === null) {
+                errors.push(`${prefix} must be an object`);
+                return;
+            }
+            
+            if (!GameConfig.music.waves.includes(channel.wave)) {
+                errors.push(`${prefix}.wave must be one of ${GameConfig.music.waves.join(', ')}`);
+            }
+            
+            if (channel.volume !== undefined && !(isNumber(channel.volume) && channel.volume >= 0 && channel.volume <= 1)) {
+                errors.push(`${prefix}.volume must be between 0 and 1`);
+            }
+            
+            if (typeof channel.pattern !== 'string' || channel.pattern.trim().length === 0) {
+                errors.push(`${prefix}.pattern must be a non-empty string`);
+                return;
+            }
+            
+            const bad = channel.pattern.trim().split(/\s+/).filter(token => token !== '-' && token !== '.' &&
+                (channel.wave === 'noise' ? token !== 'x' : MusicSequencer.noteFrequency(token) === null));
+            
+            if (bad.length > 0) {
+                errors.push(`${prefix}.pattern has unknown steps: ${bad.slice(0, 5).join(' ')}`);
+            }
+        });
+        
+        return errors;
+    }
+}
+
+window.MusicSequencer = MusicSequencer; 
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Pause Scene Class
+ * Overlay menu shown on top of a paused GameScene (or ReplayScene)
+ */
+
+class PauseScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'PauseScene' });
+        
+        this.returnTo = null;
+        this.audioManager = null;
+        this.items = [];
+        this.selected = 0;
+    }
+    
+    init(data) {
+        this.returnTo = data.returnTo;
+        this.items = [];
+        this.selected = 0;
+    }
+    
+    create() {
+        // Menu sounds play on the paused game's UI bus
+        this.audioManager = this.scene.get(this.returnTo).audioManager;
+        
+        // Dim the frozen game underneath
+        this.add.rectangle(0, 0, GameConfig.width, GameConfig.height, 0x000000, 0.7).setOrigin(0, 0);
+        
+        this.add.text(GameConfig.centerX, GameConfig.centerY - 140, 'PAUSED', {
+            fontSize: '48px',
+            fill: '#00ffff',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        this.addItem('RESUME', () => this.resumeGame());
+        this.addItem('RESTART', () => this.restartGame());
+        this.addItem('SETTINGS', () => this.openSettings());
+        this.addItem('QUIT TO MENU', () => this.quitToMenu());
+        
+        this.input.keyboard.on('keydown', event => this.handleKey(event));
+        
+        // Keys pressed in the settings screen mustn't leak back in. Scene events outlive a stop,
+        // so the listener is removed with the scene rather than piling up on every launch
+        this.events.on('resume', this.onResume, this);
+        this.events.once('shutdown', () => this.events.off('resume', this.onResume, this));
+        
+        // Start on a gamepad toggles the pause like it does in-game
+        if (this.input.gamepad) {
+            this.input.gamepad.on('down', (pad, button) => {
+                if (GameConfig.gamepad.buttons.pause.includes(button.index)) {
+                    this.resumeGame();
+                }
+            });
+        }
+        
+        this.refreshItems();
+    }
+    
+    addItem(label, action) {
+        const index = this.items.length;
+        const text = this.add.text(GameConfig.centerX, GameConfig.centerY - 50 + index * 50, label, {
+            fontSize: '26px',
+            fill: '#ffffff',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5).setInteractive();
+        
+        text.on('pointerover', () => {
+            this.selected = index;
+            this.refreshItems();
+        });
+        text.on('pointerdown', () => {
+            this.playUiSelect();
+            action();
+        });
+        
+        this.items.push({ text: text, action: action });
+    }
+    
+    handleKey(event) {
+        switch (event.key) {
+            case 'ArrowUp':
+                this.selected = Phaser.Math.Wrap(this.selected - 1, 0, this.items.length);
+                this.playUiMove();
+                break;
+            case 'ArrowDown':
+                this.selected = Phaser.Math.Wrap(this.selected + 1, 0, this.items.length);
+                this.playUiMove();
+                break;
+            case 'Enter':
+            case ' ':
+                this.playUiSelect();
+                this.items[this.selected].action();
+                return;
+            case 'Escape':
+                this.resumeGame();
+                return;
+            default:
+                // Whatever keys pause the game also unpause it
+                if (window.keyBindings.matches('pause', event)) {
+                    this.resumeGame();
+                    return;
+                }
+        }
+        
+        this.refreshItems();
+    }
+    
+    onResume() {
+        this.input.keyboard.resetKeys();
+    }
+    
+    refreshItems() {
+        this.items.forEach((item, i) => {
+            item.text.setFill(i === this.selected ? '#ffff00' : '#ffffff');
+        });
+    }
+    
+    playUiMove() {
+        if (this.audioManager) {
+            this.audioManager.playUiMove();
+        }
+    }
+    
+    playUiSelect() {
+        if (this.audioManager) {
+            this.audioManager.playUiSelect();
+        }
+    }
+    
+    resumeGame() {
+        this.scene.stop();
+        this.scene.resume(this.returnTo);
+    }
+    
+    restartGame() {
+        this.scene.get(this.returnTo).restartGame();
+        this.resumeGame();
+    }
+    
+    openSettings() {
+        this.scene.pause();
+        this.scene.launch('SettingsScene', { returnTo: this.scene.key, gameScene: this.returnTo });
+    }
+    
+    quitToMenu() {
+        const game = this.scene.get(this.returnTo);
+        
+        this.scene.stop();
+        game.quitToMenu();
+    }
+}
+
+window.PauseScene = PauseScene; 
\ No newline at end of file
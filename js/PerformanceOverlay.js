@@ -0,0 +1,229 @@
+/**
+ * Performance Overlay Class
+ * Toggleable debug readout of frame rate, frame times, object counts and draw calls.
+ * Budgets from GameConfig.performance are checked whether or not the overlay is showing,
+ * and anything over budget is reported through gameErrorHandler.handlePerformanceError.
+ */
+
+class PerformanceOverlay {
+    constructor(scene) {
+        this.scene = scene;
+        this.visible = false;
+        this.frameTimes = [];
+        this.drawCallCounter = null;
+        this.lastDrawCalls = 0;
+        this.sampleTimer = 0;
+        this.lastWarnings = {};
+        
+        this.container = null;
+        this.graph = null;
+        this.text = null;
+        
+        this.createOverlay();
+        this.setupKeys();
+        this.countDrawCalls();
+    }
+    
+    createOverlay() {
+        const x = 10;
+        const y = GameConfig.height - 190;
+        const background = this.scene.add.rectangle(0, 0, 270, 180, 0x000000, 0.75).setOrigin(0, 0);
+        
+        this.text = this.scene.add.text(8, 6, '', {
+            fontSize: '12px',
+            fill: '#00ff00',
+            fontFamily: 'Courier New'
+        });
+        this.graph = this.scene.add.graphics();
+        
+        this.container = this.scene.add.container(x, y, [background, this.text, this.graph]);
+        this.container.setDepth(1000);
+        this.container.setVisible(false);
+    }
+    
+    setupKeys() {
+        const keyboard = this.scene.input.keyboard;
+        const config = GameConfig.performance;
+        
+        this.toggleKey = keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[config.toggleKey]);
+        this.snapshotKey = keyboard.addKey(Phaser.Input.Keyboard.KeyCodes[config.snapshotKey]);
+    }
+    
+    // WebGL has no built-in draw call counter, so count the renderer's own gl draw calls per frame
+    countDrawCalls() {
+        const renderer = this.scene.game.renderer;
+        if (!renderer.gl) return;
+        
+        const gl = renderer.gl;
+        
+        // The wrappers belong to the game, not the scene, so install them only once
+        if (!gl.gyrussDrawCallCounter) {
+            const counter = { count: 0 };
+            const drawArrays = gl.drawArrays.bind(gl);
+            const drawElements = gl.drawElements.bind(gl);
+            
+            gl.drawArrays = (...args) => {
+                counter.count++;
+                return drawArrays(...args);
+            };
+            gl.drawElements = (...args) => {
+                counter.count++;
+                return drawElements(...args);
+            };
+            gl.gyrussDrawCallCounter = counter;
+        }
+        
+        this.drawCallCounter = gl.gyrussDrawCallCounter;
+        
+        // A frame's calls are complete once it has been rendered
+        const onPostRender = () => {
+            this.lastDrawCalls = this.drawCallCounter.count;
+            this.drawCallCounter.count = 0;
+        };
+        renderer.on(Phaser.Renderer.Events.POST_RENDER, onPostRender);
+        this.scene.events.once('shutdown', () => renderer.off(Phaser.Renderer.Events.POST_RENDER, onPostRender));
+    }
+    
+    /**
+     * Record one rendered frame and refresh the readout
+     * @param {number} delta - ms since the previous frame
+     */
+    update(delta) {
+        const config = GameConfig.performance;
+        
+        this.frameTimes.push(delta);
+        if (this.frameTimes.length > config.graphFrames) {
+            this.frameTimes.shift();
+        }
+        
+        if (Phaser.Input.Keyboard.JustDown(this.toggleKey)) {
+            this.toggle();
+        }
+        
+        if (Phaser.Input.Keyboard.JustDown(this.snapshotKey)) {
+            this.downloadSnapshot();
+        }
+        
+        if (this.visible) {
+            this.drawGraph();
+        }
+        
+        // Text and budget checks don't need to run every frame
+        this.sampleTimer += delta;
+        if (this.sampleTimer < config.sampleInterval) return;
+        this.sampleTimer = 0;
+        
+        const metrics = this.getMetrics();
+        this.checkBudgets(metrics);
+        
+        if (this.visible) {
+            this.text.setText([
+                `FPS ${metrics.fps.toFixed(1)}   frame ${metrics.frameTime.toFixed(1)} ms (max ${metrics.maxFrameTime.toFixed(1)})`,
+                `bullets   ${metrics.bullets}`,
+                `enemies   ${metrics.enemies}`,
+                `tweens    ${metrics.tweens}`,
+                `particles ${metrics.particles}`,
+                `draw calls ${metrics.drawCalls === null ? 'n/a (canvas)' : metrics.drawCalls}`,
+                `${config.toggleKey}: hide   ${config.snapshotKey}: save snapshot`
+            ]);
+        }
+    }
+    
+    toggle() {
+        this.visible = !this.visible;
+        this.container.setVisible(this.visible);
+        this.sampleTimer = GameConfig.performance.sampleInterval; // refresh the text straight away
+    }
+    
+    // Frame time bars, with a line at the frame time budget
+    drawGraph() {
+        const config = GameConfig.performance;
+        const width = 254;
+        const height = 50;
+        const top = 120;
+        const barWidth = width / config.graphFrames;
+        const scale = height / (config.budgets.frameTime * 2);
+        
+        this.graph.clear();
+        this.graph.fillStyle(0x222222, 1);
+        this.graph.fillRect(8, top, width, height);
+        
+        this.frameTimes.forEach((frameTime, i) => {
+            const barHeight = Math.min(height, frameTime * scale);
+            this.graph.fillStyle(frameTime > config.budgets.frameTime ? 0xff3333 : 0x00ff00, 1);
+            this.graph.fillRect(8 + i * barWidth, top + height - barHeight, Math.max(1, barWidth - 1), barHeight);
+        });
+        
+        this.graph.lineStyle(1, 0xffff00, 1);
+        this.graph.lineBetween(8, top + height / 2, 8 + width, top + height / 2);
+    }
+    
+    getMetrics() {
+        const total = this.frameTimes.reduce((sum, frameTime) => sum + frameTime, 0);
+        const pools = this.scene.getPoolStats();
+        
+        return {
+            fps: this.scene.game.loop.actualFps,
+            frameTime: this.frameTimes.length > 0 ? total / this.frameTimes.length : 0,
+            maxFrameTime: this.frameTimes.length > 0 ? Math.max(...this.frameTimes) : 0,
+            bullets: pools.playerBullets.active + pools.enemyBullets.active,
+            enemies: this.scene.enemyManager.getEnemyCount(),
+            tweens: this.scene.tweens.getTweens().length + this.scene.simClock.tweens.length,
+            particles: pools.particles.active,
+            drawCalls: this.drawCallCounter ? this.lastDrawCalls : null
+        };
+    }
+    
+    // Warn about each metric over budget, at most once per cooldown so a slow phone isn't flooded
+    checkBudgets(metrics) {
+        const config = GameConfig.performance;
+        const now = this.scene.time.now;
+        
+        Object.keys(config.budgets).forEach((metric) => {
+            const value = metrics[metric];
+            const threshold = config.budgets[metric];
+            
+            if (value === null || value <= threshold) return;
+            if (this.lastWarnings[metric] !== undefined && now - this.lastWarnings[metric] < config.warningCooldown) return;
+            
+            this.lastWarnings[metric] = now;
+            window.gameErrorHandler.handlePerformanceError(metric, value, threshold);
+        });
+    }
+    
+    getSnapshot() {
+        return {
+            timestamp: new Date().toISOString(),
+            seed: window.gameRandom.getSeed(),
+            level: this.scene.level,
+            metrics: this.getMetrics(),
+            budgets: GameConfig.performance.budgets,
+            frameTimes: this.frameTimes.slice(),
+            pools: this.scene.getPoolStats(),
+            renderer: this.scene.game.renderer.gl ? 'webgl' : 'canvas',
+            warnings: window.gameErrorHandler.errors.filter(error => error.type === 'Performance Warning')
+        };
+    }
+    
+    // Save the snapshot as a .json download (and log it, for devices where downloads are awkward)
+    downloadSnapshot() {
+        try {
+            const snapshot = this.getSnapshot();
+            const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            
+            link.href = url;
+            link.download = `${GameConfig.performance.filePrefix}${Date.now()}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+            
+            console.log('PerformanceOverlay: ✓ Snapshot exported', snapshot);
+        } catch (error) {
+            console.error('PerformanceOverlay: Failed to export snapshot:', error);
+            window.gameErrorHandler.handleSystemError('PerformanceOverlay', error, { phase: 'snapshot' });
+        }
+    }
+}
+
+window.PerformanceOverlay = PerformanceOverlay; 
\ No newline at end of file
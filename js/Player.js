@@ -12,6 +12,9 @@ class Player {
         this.speed = GameConfig.playerSpeed;
         this.lives = GameConfig.initialLives;
         this.isInvulnerable = false;
+        this.invulnerableUntil = 0; // simTime the post-hit invulnerability wears off
+        this.godMode = false; // debug console cheat, kept through restarts
+        this.lastFireTime = -Infinity;
         
         this.createSprite();
         this.setupControls();
@@ -76,30 +79,79 @@ class Player {
     }
     
     setupControls() {
-        this.cursors = this.scene.input.keyboard.createCursorKeys();
-        this.fireKey = this.scene.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.SPACE);
+        // Keys come from the scene's InputMap, so rebinding never touches the player
+        this.inputMap = this.scene.inputMap;
     }
     
-    update() {
+    // Snapshot the keyboard for one simulation tick (recorded for replays)
+    readInput() {
+        return {
+            left: this.inputMap.isDown('rotateLeft'),
+            right: this.inputMap.isDown('rotateRight'),
+            fire: this.inputMap.justDown('fire'),
+            fireHeld: this.inputMap.isDown('fire'),
+            bomb: this.inputMap.justDown('bomb')
+        };
+    }
+    
+    update(delta, input) {
+        if (this.isInvulnerable && this.scene.simTime >= this.invulnerableUntil) {
+            this.sprite.clearTint();
+            this.isInvulnerable = false;
+        }
+        
+        // A destroyed ship neither turns, fires nor bombs
+        if (this.isDead()) return;
+        
         // Handle rotation around the circle
-        if (this.cursors.left.isDown) {
-            this.angle -= this.speed;
-        } else if (this.cursors.right.isDown) {
-            this.angle += this.speed;
+        const turn = this.speed * delta / 1000;
+        if (input.left) {
+            this.angle -= turn;
+        } else if (input.right) {
+            this.angle += turn;
+        } else if (input.targetAngle !== null && input.targetAngle !== undefined) {
+            this.rotateToward(input.targetAngle, turn);
         }
         
         this.updatePosition();
         
-        // Handle firing
-        if (Phaser.Input.Keyboard.JustDown(this.fireKey)) {
+        // Taps and holds from every input go through the same cooldown and bullet cap
+        if ((input.fire || input.fireHeld) && this.canFire()) {
             this.fire();
         }
+        
+        if (input.bomb) {
+            this.scene.powerUpManager.useSmartBomb();
+        }
+    }
+    
+    // Turn the short way round toward an aimed angle, never faster than the ship's top speed
+    rotateToward(targetAngle, maxTurn) {
+        const difference = Phaser.Math.Angle.Wrap(targetAngle - this.angle);
+        this.angle += Phaser.Math.Clamp(difference, -maxTurn, maxTurn);
+    }
+    
+    getFireCooldown() {
+        const cooldown = GameConfig.weaponCooldowns[this.scene.powerUpManager.getWeapon()];
+        
+        return this.scene.powerUpManager.isActive('rapidFire')
+            ? cooldown * GameConfig.powerUps.rapidFireCooldownScale
+            : cooldown;
+    }
+    
+    canFire() {
+        if (this.scene.simTime - this.lastFireTime < this.getFireCooldown()) return false;
+        
+        // A volley fires whole or not at all
+        const shots = Player.VOLLEY_SIZES[this.scene.powerUpManager.getWeapon()];
+        return this.scene.bulletManager.getPlayerBulletCount() + shots <= GameConfig.maxPlayerBullets;
     }
     
     updatePosition() {
-        // Calculate position on the circle
-        this.sprite.x = GameConfig.centerX + Math.cos(this.angle) * this.radius;
-        this.sprite.y = GameConfig.centerY + Math.sin(this.angle) * this.radius;
+        // The player always sits on the rim of the tube
+        const point = Tube.project(this.angle, 1);
+        this.sprite.x = point.x;
+        this.sprite.y = point.y;
         
         // Rotate the ship to face the direction of movement AND point toward center
         this.sprite.rotation = this.angle + Math.PI / 2 + Math.PI; // Added Math.PI for 180 degree rotation
@@ -109,38 +161,33 @@ class Player {
         if (!this.sprite.active) return;
         
         try {
-            const bullet = this.scene.bulletManager.getPlayerBullets().create(this.sprite.x, this.sprite.y, 'playerBullet');
-            
-            // Set player bullet scale
-            bullet.setScale(GameConfig.playerBulletScale);
-            
-            // Calculate direction toward center (tube axis)
-            const angleToCenter = Math.atan2(
-                GameConfig.centerY - this.sprite.y,
-                GameConfig.centerX - this.sprite.x
-            );
-            
-            // Move bullet along tube axis (straight line toward center)
-            bullet.setVelocity(
-                Math.cos(angleToCenter) * GameConfig.playerBulletSpeed,
-                Math.sin(angleToCenter) * GameConfig.playerBulletSpeed
-            );
+            const bullets = this.scene.bulletManager;
             
-            // Rotate bullet to match tube direction
-            bullet.rotation = angleToCenter;
+            switch (this.scene.powerUpManager.getWeapon()) {
+                case 'doubleShot': {
+                    // Two parallel bullets either side of the ship
+                    const offset = GameConfig.powerUps.doubleShotSpacing / this.radius;
+                    bullets.firePlayerBullet(this.angle + offset);
+                    bullets.firePlayerBullet(this.angle - offset);
+                    break;
+                }
+                case 'spreadShot':
+                    // Three-way fan centred on the ship's tube angle
+                    [-1, 0, 1].forEach(step => {
+                        bullets.firePlayerBullet(this.angle + step * GameConfig.powerUps.spreadAngle);
+                    });
+                    break;
+                default:
+                    bullets.firePlayerBullet(this.angle);
+            }
             
-            // Add tube movement data
-            bullet.tubeMovement = true;
-            bullet.startX = this.sprite.x;
-            bullet.startY = this.sprite.y;
-            bullet.targetX = GameConfig.centerX;
-            bullet.targetY = GameConfig.centerY;
+            this.lastFireTime = this.scene.simTime;
             
             // Play shoot sound
             if (this.scene.audioManager) {
-                this.scene.audioManager.playShoot();
+                this.scene.audioManager.playShoot(this.sprite.x);
             }
-            
+        
         } catch (error) {
             console.error('Player: Error firing bullet:', error);
             window.gameErrorHandler.handleSystemError('Player', error, { phase: 'firing' });
@@ -150,20 +197,20 @@ class Player {
     takeDamage() {
         if (this.isInvulnerable) return false;
         
+        // Shield soaks up the hit entirely
+        if (this.scene.powerUpManager && this.scene.powerUpManager.isActive('shield')) return false;
+        
         this.lives--;
         this.isInvulnerable = true;
         
         // Play hit sound
         if (this.scene.audioManager) {
-            this.scene.audioManager.playPlayerHit();
+            this.scene.audioManager.playPlayerHit(this.sprite.x);
         }
         
         // Visual feedback
         this.sprite.setTint(0xff0000);
-        this.scene.time.delayedCall(1000, () => {
-            this.sprite.clearTint();
-            this.isInvulnerable = false;
-        });
+        this.invulnerableUntil = this.scene.simTime + GameConfig.playerInvulnerableDuration;
         
         return this.lives <= 0;
     }
@@ -172,6 +219,7 @@ class Player {
         this.lives = GameConfig.initialLives;
         this.angle = 0;
         this.isInvulnerable = false;
+        this.lastFireTime = -Infinity;
         this.sprite.clearTint();
         this.updatePosition();
     }
@@ -189,4 +237,11 @@ class Player {
     }
 }
 
+// Bullets fired per shot by each weapon
+Player.VOLLEY_SIZES = {
+    single: 1,
+    doubleShot: 2,
+    spreadShot: 3
+};
+
 window.Player = Player; 
\ No newline at end of file
@@ -0,0 +1,44 @@
+/**
+ * Object Pools
+ * Shared helpers for the recycled groups behind bullets, explosion particles and enemy ships.
+ * Pooled objects are never destroyed mid-game: they are switched off and handed out again.
+ */
+
+const Pools = {
+    /**
+     * Usage counts for one pooled group
+     * @param {Phaser.GameObjects.Group} group - Group created with a maxSize
+     * @returns {{active: number, free: number, size: number, max: number}} Live objects, idle objects, total created and the cap
+     */
+    stats(group) {
+        const size = group.getLength();
+        const active = group.countActive(true);
+        
+        return { active: active, free: size - active, size: size, max: group.maxSize };
+    },
+    
+    /**
+     * Hand an object back to its pool, turning off its physics body if it has one
+     * @param {Phaser.GameObjects.Group} group - The object's pool
+     * @param {Phaser.GameObjects.Sprite} gameObject - Object to recycle
+     */
+    release(group, gameObject) {
+        if (!gameObject.active) return;
+        
+        if (gameObject.body) {
+            gameObject.disableBody(true, true);
+        } else {
+            group.killAndHide(gameObject);
+        }
+    },
+    
+    /**
+     * Recycle every live object in a pool
+     * @param {Phaser.GameObjects.Group} group - Pool to empty
+     */
+    releaseAll(group) {
+        group.getChildren().forEach(gameObject => Pools.release(group, gameObject));
+    }
+};
+
+window.Pools = Pools; 
\ No newline at end of file
@@ -0,0 +1,203 @@
+/**
+ * Power-Up Manager Class
+ * Handles power-up pickups, timed effects, smart bombs and their HUD indicators
+ */
+
+class PowerUpManager {
+    constructor(scene) {
+        this.scene = scene;
+        this.pickups = scene.physics.add.group();
+        this.activeEffects = new Map(); // type -> expiry time (ms)
+        this.smartBombs = 0;
+        this.hudText = null;
+        this.shieldGraphics = null;
+        
+        this.createPickupTextures();
+        this.createHUD();
+    }
+    
+    createPickupTextures() {
+        try {
+            Object.entries(GameConfig.powerUps.types).forEach(([type, definition]) => {
+                const graphics = this.scene.add.graphics();
+                graphics.fillStyle(definition.color);
+                graphics.beginPath();
+                graphics.moveTo(8, 0);
+                graphics.lineTo(16, 8);
+                graphics.lineTo(8, 16);
+                graphics.lineTo(0, 8);
+                graphics.closePath();
+                graphics.fillPath();
+                graphics.generateTexture('powerUp_' + type, 16, 16);
+                graphics.destroy();
+            });
+            console.log('PowerUpManager: Pickup textures created');
+        } catch (error) {
+            console.error('PowerUpManager: Error creating pickup textures:', error);
+        }
+    }
+    
+    createHUD() {
+        // Active power-ups are listed under the score/lives/level readout
+        this.hudText = this.scene.add.text(16, 118, '', {
+            fontSize: '16px',
+            fill: '#00ffff',
+            fontFamily: 'Courier New'
+        });
+        
+        this.shieldGraphics = this.scene.add.graphics();
+    }
+    
+    // Drop a collectible that drifts out along the tube toward the player
+    spawnPickup(x, y, type) {
+        const pickup = this.pickups.create(x, y, 'powerUp_' + type);
+        const origin = Tube.unproject(x, y);
+        pickup.powerUpType = type;
+        pickup.collisionShapeKey = 'powerUp'; // every pickup texture has the same diamond
+        pickup.depthSpeed = GameConfig.powerUps.pickupSpeed;
+        
+        return Tube.place(pickup, origin.angle, origin.depth, 1.5);
+    }
+    
+    // Chance of a random collectible whenever an enemy is destroyed
+    rollDrop(x, y) {
+        if (window.gameRandom.gameplay.between(0, 100) >= GameConfig.powerUps.dropChance) return;
+        
+        const type = window.gameRandom.gameplay.pick(Object.keys(GameConfig.powerUps.types));
+        this.spawnPickup(x, y, type);
+    }
+    
+    collect(pickup) {
+        const type = pickup.powerUpType;
+        pickup.destroy();
+        this.award(type);
+    }
+    
+    award(type) {
+        const definition = GameConfig.powerUps.types[type];
+        if (!definition) {
+            console.warn(`PowerUpManager: Unknown power-up: ${type}`);
+            return;
+        }
+        
+        if (type === 'smartBomb') {
+            this.smartBombs++;
+        } else {
+            // Weapons are exclusive, the newest one replaces the old
+            if (definition.weapon) {
+                Object.keys(GameConfig.powerUps.types)
+                    .filter(key => GameConfig.powerUps.types[key].weapon)
+                    .forEach(key => this.activeEffects.delete(key));
+            }
+            
+            this.activeEffects.set(type, this.scene.simTime + definition.duration);
+        }
+        
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playPowerUp(this.scene.player.sprite.x);
+        }
+        
+        console.log(`PowerUpManager: ${definition.label} awarded`);
+    }
+    
+    isActive(type) {
+        return this.activeEffects.has(type);
+    }
+    
+    getWeapon() {
+        if (this.isActive('spreadShot')) return 'spreadShot';
+        if (this.isActive('doubleShot')) return 'doubleShot';
+        return 'single';
+    }
+    
+    useSmartBomb() {
+        if (this.smartBombs <= 0 || this.scene.player.isDead()) return false;
+        
+        this.smartBombs--;
+        
+        // Destroy every ship on screen, scoring each as if shot
+        this.scene.enemyManager.getActiveEnemies().forEach(enemy => {
+            if (enemy.currentState === 'spawning') return;
+            
+            const points = enemy.getScoreValue();
+            this.scene.effectsManager.createExplosionEffect(enemy.x, enemy.y);
+            enemy.takeDamage(enemy.health);
+            this.scene.score += points;
+        });
+        
+        this.scene.bulletManager.clearEnemyBullets();
+        this.scene.updateScore();
+        
+        if (this.scene.audioManager) {
+            this.scene.audioManager.playExplosion();
+        }
+        
+        this.scene.feedbackManager.smartBomb();
+        
+        return true;
+    }
+    
+    update(delta) {
+        const now = this.scene.simTime;
+        
+        this.activeEffects.forEach((expiresAt, type) => {
+            if (now >= expiresAt) {
+                this.activeEffects.delete(type);
+                console.log(`PowerUpManager: ${GameConfig.powerUps.types[type].label} expired`);
+            }
+        });
+        
+        this.pickups.children.entries.forEach(pickup => Tube.move(pickup, delta));
+        this.cleanupPickups();
+        this.updateShield();
+        this.updateHUD(now);
+    }
+    
+    cleanupPickups() {
+        this.pickups.children.entries.slice().forEach((pickup) => {
+            // Missed pickups are lost once they pass the player's circle
+            if (pickup.tubeDepth > GameConfig.tube.exitDepth) {
+                pickup.destroy();
+            }
+        });
+    }
+    
+    updateShield() {
+        this.shieldGraphics.clear();
+        
+        const sprite = this.scene.player.getSprite();
+        if (!this.isActive('shield') || !sprite.active) return;
+        
+        this.shieldGraphics.lineStyle(2, GameConfig.powerUps.types.shield.color, 0.8);
+        this.shieldGraphics.strokeCircle(sprite.x, sprite.y, Math.max(sprite.displayWidth, sprite.displayHeight) * 0.6);
+    }
+    
+    updateHUD(now) {
+        const lines = [];
+        
+        this.activeEffects.forEach((expiresAt, type) => {
+            const seconds = Math.ceil((expiresAt - now) / 1000);
+            lines.push(`${GameConfig.powerUps.types[type].label} ${seconds}s`);
+        });
+        
+        if (this.smartBombs > 0) {
+            lines.push(`${GameConfig.powerUps.types.smartBomb.label} x${this.smartBombs}`);
+        }
+        
+        this.hudText.setText(lines.join('\n'));
+    }
+    
+    getPickups() {
+        return this.pickups;
+    }
+    
+    reset() {
+        this.pickups.clear(true, true);
+        this.activeEffects.clear();
+        this.smartBombs = 0;
+        this.shieldGraphics.clear();
+        this.hudText.setText('');
+    }
+}
+
+window.PowerUpManager = PowerUpManager; 
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Replay Scene Class
+ * Plays back a recorded run by feeding its per-tick input through GameScene's own update path
+ */
+
+class ReplayScene extends GameScene {
+    constructor() {
+        super({ key: 'ReplayScene' });
+        
+        this.replay = null;
+        this.tick = 0;
+        this.replayFinished = false;
+    }
+    
+    init(data) {
+        this.replay = data.replay;
+        this.tick = 0;
+        this.replayFinished = false;
+        
+        // Same seed and a fresh campaign give the same waves, rolls and drops as the recorded run
+        super.init({ campaign: new CampaignState(), seed: this.replay.seed });
+    }
+    
+    create() {
+        super.create();
+        
+        this.add.text(GameConfig.width - 100, 60, 'REPLAY', {
+            fontSize: '16px',
+            fill: '#ff00ff',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5, 0);
+        
+        console.log(`ReplayScene: Playing ${this.replay.getTickCount()} ticks with seed "${this.replay.seed}"`);
+    }
+    
+    // Replays play back, they never record over themselves
+    startRecording() {
+    }
+    
+    // Cheats would desync the playback from the recording
+    createDebugConsole() {
+        return null;
+    }
+    
+    // Watching a replay never earns a place in the high score table
+    qualifiesForHighScore() {
+        return false;
+    }
+    
+    readInput() {
+        const input = this.replay.getInput(this.tick);
+        
+        if (input) {
+            this.tick++;
+            return input;
+        }
+        
+        if (!this.replayFinished) {
+            this.finishReplay();
+        }
+        
+        // Nothing pressed once the recording runs out
+        return InputRecorder.decode(0);
+    }
+    
+    finishReplay() {
+        this.replayFinished = true;
+        console.log('ReplayScene: ✓ Replay finished');
+        
+        const mismatches = this.checkOutcome();
+        if (mismatches.length > 0) {
+            window.gameErrorHandler.handleError('Replay Desync', new Error('Playback ended differently from the recorded run'), {
+                seed: this.replay.seed,
+                mismatches: mismatches
+            });
+        }
+        
+        this.showBanner(mismatches.length > 0 ? 'REPLAY DESYNC' : 'REPLAY COMPLETE', mismatches.length > 0 ? '#ff0000' : '#ff00ff');
+        
+        // Started without data, the menu would reuse whatever it was last sent and could open on the high scores
+        this.time.delayedCall(GameConfig.replay.endDelay, () => {
+            this.scene.start('MenuScene', { showHighScores: false, highlightRank: -1 });
+        });
+    }
+    
+    /**
+     * Compare where playback ended up with how the recorded run stood on its last tick
+     * @returns {string[]} One line per value that differs; empty when they match or the replay has no final state
+     */
+    checkOutcome() {
+        const expected = this.replay.summary;
+        if (!expected) return [];
+        
+        const actual = this.getRunSummary();
+        const mismatches = Object.keys(expected)
+            .filter(key => expected[key] !== actual[key])
+            .map(key => `${key}: recorded ${expected[key]}, played ${actual[key]}`);
+        
+        if (mismatches.length === 0) {
+            console.log('ReplayScene: ✓ Playback matches the recorded run');
+        }
+        return mismatches;
+    }
+    
+    // Restarting a replay plays it again from the first tick
+    restartGame() {
+        this.scene.restart({ replay: this.replay });
+    }
+}
+
+window.ReplayScene = ReplayScene; 
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * Settings Scene Class
+ * Overlay for the persisted player settings, opened from the menu or the pause menu
+ */
+
+class SettingsScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'SettingsScene' });
+        
+        this.returnTo = null;
+        this.gameScene = null;
+        this.audioManager = null;
+        this.entries = [];
+        this.selected = 0;
+    }
+    
+    init(data) {
+        this.returnTo = data.returnTo;
+        
+        // Changes apply live when a game is paused underneath
+        this.gameScene = data.gameScene ? this.scene.get(data.gameScene) : null;
+        this.audioManager = this.gameScene ? this.gameScene.audioManager : null;
+        this.entries = [];
+        this.selected = 0;
+    }
+    
+    create() {
+        this.add.rectangle(0, 0, GameConfig.width, GameConfig.height, 0x000022, 0.9).setOrigin(0, 0);
+        
+        this.add.text(GameConfig.centerX, 70, 'SETTINGS', {
+            fontSize: '40px',
+            fill: '#00ffff',
+            fontFamily: 'Courier New',
+            fontWeight: 'bold'
+        }).setOrigin(0.5);
+        
+        SettingsScene.ROWS.forEach((row, i) => this.createRow(row, 115 + i * 32));
+        
+        this.add.text(GameConfig.centerX, 570, '↑/↓: choose   ←/→: change   ESC: back', {
+            fontSize: '14px',
+            fill: '#aaaaaa',
+            fontFamily: 'Courier New'
+        }).setOrigin(0.5);
+        
+        this.input.keyboard.on('keydown', event => this.handleKey(event));
+        this.refreshRows();
+    }
+    
+    createRow(row, y) {
+        const index = this.entries.length;
+        const entry = { row: row, label: null, value: null, fill: null };
+        const style = { fontSize: '20px', fill: '#ffffff', fontFamily: 'Courier New' };
+        
+        if (row.type === 'back' || row.type === 'screen') {
+            entry.label = this.add.text(GameConfig.centerX, y + 10, row.label, style).setOrigin(0.5).setInteractive();
+            entry.label.on('pointerdown', () => this.activate(entry));
+        } else {
+            entry.label = this.add.text(140, y, row.label, style).setOrigin(0, 0.5).setInteractive();
+            entry.label.on('pointerdown', () => this.adjust(entry, 1));
+        }
+        
+        if (row.type === 'slider') {
+            const width = GameConfig.settings.sliderWidth;
+            const track = this.add.rectangle(420, y, width, 14, 0x333366).setOrigin(0, 0.5).setInteractive();
+            entry.fill = this.add.rectangle(420, y, width, 14, 0x00ffff).setOrigin(0, 0.5);
+            entry.value = this.add.text(420 + width + 15, y, '', style).setOrigin(0, 0.5);
+            
+            // Tap or drag along the track to set the level directly
+            const setFromPointer = pointer => this.changeSetting(row.key, Phaser.Math.Clamp((pointer.x - track.x) / width, 0, 1));
+            track.on('pointerdown', setFromPointer);
+            track.on('pointermove', (pointer) => {
+                if (pointer.isDown) setFromPointer(pointer);
+            });
+        } else if (row.type !== 'back' && row.type !== 'screen') {
+            entry.value = this.add.text(420, y, '', style).setOrigin(0, 0.5).setInteractive();
+            entry.value.on('pointerdown', () => this.adjust(entry, 1));
+        }
+        
+        entry.label.on('pointerover', () => {
+            this.selected = index;
+            this.refreshRows();
+        });
+        
+        this.entries.push(entry);
+    }
+    
+    handleKey(event) {
+        const entry = this.entries[this.selected];
+        
+        switch (event.key) {
+            case 'ArrowUp':
+                this.selected = Phaser.Math.Wrap(this.selected - 1, 0, this.entries.length);
+                this.playUiMove();
+                break;
+            case 'ArrowDown':
+                this.selected = Phaser.Math.Wrap(this.selected + 1, 0, this.entries.length);
+                this.playUiMove();
+                break;
+            case 'ArrowLeft':
+                this.adjust(entry, -1);
+                break;
+            case 'ArrowRight':
+                this.adjust(entry, 1);
+                break;
+            case 'Enter':
+            case ' ':
+                if (entry.row.type === 'back' || entry.row.type === 'screen') {
+                    this.activate(entry);
+                    return;
+                }
+                this.adjust(entry, 1);
+                break;
+            case 'Escape':
+                this.close();
+                return;
+        }
+        
+        this.refreshRows();
+    }
+    
+    activate(entry) {
+        this.playUiSelect();
+        
+        if (entry.row.type === 'screen') {
+            this.scene.pause();
+            this.scene.launch(entry.row.scene, { returnTo: this.scene.key });
+            return;
+        }
+        
+        this.close();
+    }
+    
+    adjust(entry, direction) {
+        const row = entry.row;
+        const current = window.gameSettings.get(row.key);
+        
+        switch (row.type) {
+            case 'slider': {
+                const value = current + direction * GameConfig.settings.sliderStep;
+                this.changeSetting(row.key, Phaser.Math.Clamp(Math.round(value * 100) / 100, 0, 1));
+                break;
+            }
+            case 'toggle':
+                this.changeSetting(row.key, !current);
+                break;
+            case 'choice': {
+                const options = Object.keys(GameConfig.settings[row.options]);
+                const index = Phaser.Math.Wrap(options.indexOf(current) + direction, 0, options.length);
+                this.changeSetting(row.key, options[index]);
+                break;
+            }
+        }
+    }
+    
+    changeSetting(key, value) {
+        window.gameSettings.set(key, value);
+        
+        if (this.gameScene) {
+            window.gameSettings.applyTo(this.gameScene);
+        }
+        
+        // After applying, so the sound plays at the new volume
+        this.playUiSelect();
+        this.refreshRows();
+    }
+    
+    // Only a game paused underneath has audio to play through
+    playUiMove() {
+        if (this.audioManager) {
+            this.audioManager.playUiMove();
+        }
+    }
+    
+    playUiSelect() {
+        if (this.audioManager) {
+            this.audioManager.playUiSelect();
+        }
+    }
+    
+    refreshRows() {
+        this.entries.forEach((entry, i) => {
+            const row = entry.row;
+            const value = window.gameSettings.get(row.key);
+            
+            entry.label.setFill(i === this.selected ? '#ffff00' : '#ffffff');
+            
+            switch (row.type) {
+                case 'slider':
+                    entry.fill.setSize(GameConfig.settings.sliderWidth * value, 14);
+                    entry.value.setText(Math.round(value * 100) + '%');
+                    break;
+                case 'toggle':
+                    entry.value.setText(value ? 'ON' : 'OFF');
+                    break;
+                case 'choice':
+                    entry.value.setText(GameConfig.settings[row.options][value]);
+                    break;
+            }
+        });
+    }
+    
+    close() {
+        this.scene.stop();
+        this.scene.resume(this.returnTo);
+    }
+}
+
+// Rows in display order; keys match GameConfig.settings.defaults
+SettingsScene.ROWS = [
+    { type: 'slider', key: 'masterVolume', label: 'MASTER VOLUME' },
+    { type: 'slider', key: 'sfxVolume', label: 'SFX VOLUME' },
+    { type: 'slider', key: 'musicVolume', label: 'MUSIC VOLUME' },
+    { type: 'slider', key: 'uiVolume', label: 'UI VOLUME' },
+    { type: 'toggle', key: 'autoFire', label: 'AUTO-FIRE' },
+    { type: 'choice', key: 'touchLayout', label: 'TOUCH LAYOUT', options: 'touchLayouts' },
+    { type: 'choice', key: 'touchSteering', label: 'TOUCH STEERING', options: 'touchSteerings' },
+    { type: 'toggle', key: 'mouseSteering', label: 'MOUSE STEERING' },
+    { type: 'toggle', key: 'screenShake', label: 'SCREEN SHAKE' },
+    { type: 'toggle', key: 'screenFlash', label: 'SCREEN FLASH' },
+    { type: 'toggle', key: 'reduceMotion', label: 'REDUCE MOTION' },
+    { type: 'toggle', key: 'rumble', label: 'GAMEPAD RUMBLE' },
+    { type: 'screen', scene: 'ControlsScene', label: 'CONTROLS' },
+    { type: 'back', label: 'BACK' }
+];
+
+window.SettingsScene = SettingsScene; 
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Sim Clock Class
+ * Timers and tweens that run on the fixed simulation step rather than frame time.
+ * GameScene advances it once per step, so enemy waves, fire, entrances and attack runs happen on the same
+ * tick at any frame rate, follow the debug time scale and hold still during hit-stop.
+ * Purely cosmetic motion (banners, flashes, explosion particles) stays on the scene's own clock and tweens.
+ */
+
+class SimClock {
+    constructor(scene) {
+        this.scene = scene;
+        this.timers = [];
+        this.tweens = [];
+    }
+    
+    /**
+     * Call back once the simulation has run for a while
+     * @param {number} delay - ms of simulation time to wait
+     * @param {function} callback - Called once
+     * @returns {object} Timer, with remove() to cancel it
+     */
+    delayedCall(delay, callback) {
+        return this.addEvent({ delay: delay, callback: callback });
+    }
+    
+    /**
+     * Call back after a delay of simulation time, optionally repeating
+     * @param {object} config - delay (ms), callback and loop, as for Phaser's Clock.addEvent
+     * @returns {object} Timer, with remove() to cancel it
+     */
+    addEvent(config) {
+        const timer = {
+            at: this.scene.simTime + config.delay,
+            delay: config.delay,
+            callback: config.callback,
+            loop: !!config.loop,
+            removed: false,
+            remove: () => {
+                timer.removed = true;
+            }
+        };
+        
+        this.timers.push(timer);
+        return timer;
+    }
+    
+    /**
+     * Tween numeric properties of one or more targets, like Phaser's tweens.add
+     * @param {object} config - targets, property end values, duration, ease, yoyo, repeat (-1 forever), onUpdate, onComplete
+     * @returns {SimTween} The tween
+     */
+    addTween(config) {
+        const tween = new SimTween(config);
+        this.tweens.push(tween);
+        return tween;
+    }
+    
+    /**
+     * Tween a bare value from one number to another, like Phaser's tweens.addCounter
+     * @param {object} config - from, to, duration, ease, onUpdate, onComplete
+     * @returns {SimTween} The tween; getValue() reads the current value
+     */
+    addCounter(config) {
+        const counter = { value: config.from };
+        
+        return this.addTween({ ...config, targets: counter, value: config.to });
+    }
+    
+    killTweensOf(target) {
+        this.tweens.forEach((tween) => {
+            if (tween.targets.includes(target)) tween.stop();
+        });
+    }
+    
+    /**
+     * Fire due timers, then advance every tween; called from GameScene.step after simTime moves on
+     * @param {number} delta - ms of simulation time in this step
+     */
+    update(delta) {
+        // Callbacks often queue the next timer or tween, which waits for the following step
+        this.timers.slice().forEach((timer) => {
+            if (timer.removed || this.scene.simTime < timer.at) return;
+            
+            timer.callback();
+            
+            if (timer.loop && !timer.removed) {
+                timer.at += timer.delay;
+            } else {
+                timer.removed = true;
+            }
+        });
+        this.timers = this.timers.filter(timer => !timer.removed);
+        
+        this.tweens.slice().forEach((tween) => {
+            if (tween.isPlaying()) tween.update(delta);
+        });
+        this.tweens = this.tweens.filter(tween => tween.isPlaying());
+    }
+    
+    // Drop everything queued, e.g. when the run restarts
+    clear() {
+        this.timers.forEach(timer => timer.remove());
+        this.tweens.forEach(tween => tween.stop());
+        this.timers = [];
+        this.tweens = [];
+    }
+}
+
+/**
+ * One tween on the sim clock. Start values are read when it's created;
+ * a yoyo plays forward then back within each repeat, as Phaser's tweens do.
+ */
+class SimTween {
+    constructor(config) {
+        const reserved = ['targets', 'duration', 'ease', 'yoyo', 'repeat', 'onUpdate', 'onComplete', 'from', 'to'];
+        
+        this.targets = Array.isArray(config.targets) ? config.targets : [config.targets];
+        this.duration = config.duration;
+        this.ease = Phaser.Tweens.Builders.GetEaseFunction(config.ease || 'Linear');
+        this.yoyo = !!config.yoyo;
+        this.repeat = config.repeat || 0;
+        this.onUpdate = config.onUpdate || null;
+        this.onComplete = config.onComplete || null;
+        this.elapsed = 0;
+        this.playing = true;
+        
+        this.properties = [];
+        Object.keys(config).filter(key => !reserved.includes(key)).forEach((key) => {
+            this.targets.forEach((target) => {
+                this.properties.push({ target: target, key: key, from: target[key], to: config[key] });
+            });
+        });
+    }
+    
+    update(delta) {
+        this.elapsed += delta;
+        
+        const cycle = this.yoyo ? this.duration * 2 : this.duration;
+        const finished = this.repeat >= 0 && this.elapsed >= cycle * (this.repeat + 1);
+        const time = finished ? cycle : this.elapsed % cycle;
+        
+        // Past the halfway point of a yoyo cycle the tween runs back toward its start
+        let progress = this.duration > 0 ? time / this.duration : 1;
+        if (progress > 1) progress = 2 - progress;
+        
+        const eased = this.ease(progress);
+        this.properties.forEach((property) => {
+            property.target[property.key] = property.from + (property.to - property.from) * eased;
+        });
+        
+        if (this.onUpdate) this.onUpdate(this);
+        
+        if (finished) {
+            this.playing = false;
+            if (this.onComplete) this.onComplete(this);
+        }
+    }
+    
+    // Current value of a counter tween
+    getValue() {
+        return this.targets[0].value;
+    }
+    
+    isPlaying() {
+        return this.playing;
+    }
+    
+    // Stop where it is, without calling onComplete
+    stop() {
+        this.playing = false;
+    }
+}
+
+window.SimClock = SimClock; 
\ No newline at end of file
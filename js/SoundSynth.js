@@ -0,0 +1,274 @@
+/**
+ * Sound Synth
+ * Renders the declarative sound effects in GameConfig.sounds on any Web Audio context.
+ * AudioManager plays them live; generate_sounds.html previews them and renders them offline to WAV.
+ * Recorded samples go through playBuffer so they get the same volume and panning.
+ * Needs nothing but GameConfig, so the generator page can load it without Phaser.
+ *
+ * Sound format:
+ *   { duration: 0.3, volume: 1, layers: [{ wave: 'noise', volume: 0.8, variance: 0.1,
+ *       frequency: 200, sweep: [{ to: 50, at: 0.3, curve: 'exponential' }],
+ *       filter: { type: 'lowpass', frequency: 2000, q: 1, sweep: [...] },
+ *       envelope: { attack: 0.005, decay: 0.2, sustain: 0, release: 0.05 } }] }
+ * Every layer lasts the sound's duration; its envelope decides how much of that it's heard for.
+ * Noise layers ignore frequency and get their color from the filter instead.
+ */
+
+const SoundSynth = {
+    // One looping white noise buffer per context
+    noiseBuffers: new WeakMap(),
+    
+    /**
+     * Schedule one sound
+     * @param {BaseAudioContext} context - Live or offline context
+     * @param {Object} definition - Sound from GameConfig.sounds
+     * @param {AudioNode} output - Where the sound goes
+     * @param {Object} options - time (defaults to now), volume, pan (-1 to 1), random (0-1 generator for pitch variance)
+     * @returns {{sources: AudioScheduledSourceNode[], gain: GainNode, endTime: number}} Handles for cutting the sound off early
+     */
+    play(context, definition, output, options = {}) {
+        const time = options.time !== undefined ? options.time : context.currentTime;
+        const random = options.random || Math.random;
+        const volume = definition.volume !== undefined ? definition.volume : 1;
+        const voice = this.createVoice(context, output, volume, options);
+        
+        voice.sources = definition.layers.map(layer => this.playLayer(context, layer, voice.gain, time, definition.duration, random));
+        voice.endTime = time + definition.duration;
+        
+        // Every layer stops together, so the first one ending means the whole sound is done
+        voice.sources[0].onended = voice.release;
+        
+        return voice;
+    },
+    
+    /**
+     * Play a decoded sample
+     * @param {BaseAudioContext} context - Live or offline context
+     * @param {AudioBuffer} buffer - Recorded sound
+     * @param {AudioNode} output - Where the sound goes
+     * @param {Object} options - time (defaults to now), volume, pan (-1 to 1)
+     * @returns {{sources: AudioScheduledSourceNode[], gain: GainNode, endTime: number}} Same handles as play()
+     */
+    playBuffer(context, buffer, output, options = {}) {
+        const time = options.time !== undefined ? options.time : context.currentTime;
+        const voice = this.createVoice(context, output, 1, options);
+        const source = context.createBufferSource();
+        
+        source.buffer = buffer;
+        source.connect(voice.gain);
+        source.onended = voice.release;
+        source.start(time);
+        
+        voice.sources = [source];
+        voice.endTime = time + buffer.duration;
+        return voice;
+    },
+    
+    // Volume and panning shared by every layer of a sound; release() unhooks it once the sound is over
+    createVoice(context, output, volume, options) {
+        const gain = context.createGain();
+        let last = gain;
+        
+        gain.gain.value = volume * (options.volume !== undefined ? options.volume : 1);
+        
+        // Older browsers have no stereo panner; they just play everything centered
+        if (options.pan && typeof context.createStereoPanner === 'function') {
+            const panner = context.createStereoPanner();
+            panner.pan.value = options.pan;
+            gain.connect(panner);
+            last = panner;
+        }
+        last.connect(output);
+        
+        return { sources: [], gain: gain, endTime: 0, release: () => last.disconnect() };
+    },
+    
+    playLayer(context, layer, output, time, duration, random) {
+        // Nudge the whole layer up or down in pitch so repeated sounds don't all sound identical
+        const pitch = 1 + (random() * 2 - 1) * (layer.variance || 0);
+        const envelope = context.createGain();
+        let source;
+        
+        if (layer.wave === 'noise') {
+            source = context.createBufferSource();
+            source.buffer = this.getNoiseBuffer(context, random);
+            source.loop = true;
+            source.playbackRate.value = pitch;
+        } else {
+            source = context.createOscillator();
+            source.type = layer.wave;
+            this.applySweep(source.frequency, layer.frequency, layer.sweep, pitch, time);
+        }
+        let node = source;
+        
+        if (layer.filter) {
+            const filter = context.createBiquadFilter();
+            filter.type = layer.filter.type;
+            filter.Q.value = layer.filter.q !== undefined ? layer.filter.q : 1;
+            this.applySweep(filter.frequency, layer.filter.frequency, layer.filter.sweep, pitch, time);
+            node.connect(filter);
+            node = filter;
+        }
+        
+        node.connect(envelope);
+        envelope.connect(output);
+        this.applyEnvelope(envelope.gain, layer, time, duration);
+        
+        source.start(time);
+        source.stop(time + duration);
+        return source;
+    },
+    
+    /**
+     * Set a frequency and schedule its sweep
+     * @param {AudioParam} param - Oscillator or filter frequency
+     * @param {number} start - Starting value in Hz
+     * @param {Array<Object>} sweep - {to, at, curve} steps; curve is 'exponential' (default), 'linear' or 'step'
+     * @param {number} pitch - Variance multiplier applied to every value
+     * @param {number} time - When the sound starts
+     */
+    applySweep(param, start, sweep = [], pitch, time) {
+        param.setValueAtTime(start * pitch, time);
+        
+        sweep.forEach((step) => {
+            const value = step.to * pitch;
+            const at = time + step.at;
+            
+            if (step.curve === 'step') {
+                param.setValueAtTime(value, at);
+            } else if (step.curve === 'linear') {
+                param.linearRampToValueAtTime(value, at);
+            } else {
+                param.exponentialRampToValueAtTime(value, at);
+            }
+        });
+    },
+    
+    // ADSR: ramp up to the layer volume, fall toward the sustain level, then release so it's silent by the end
+    applyEnvelope(param, layer, time, duration) {
+        const envelope = { ...GameConfig.audio.envelope, ...layer.envelope };
+        const peak = layer.volume !== undefined ? layer.volume : 1;
+        const sustain = peak * envelope.sustain;
+        const decayStart = time + envelope.attack;
+        const releaseStart = Math.max(decayStart, time + duration - envelope.release);
+        
+        // Decay and release approach their targets exponentially, a quarter of the stage per time constant
+        param.setValueAtTime(0, time);
+        param.linearRampToValueAtTime(peak, decayStart);
+        param.setTargetAtTime(sustain, decayStart, Math.max(envelope.decay / 4, 0.001));
+        param.setTargetAtTime(0, releaseStart, Math.max(envelope.release / 4, 0.001));
+    },
+    
+    getNoiseBuffer(context, random) {
+        if (!this.noiseBuffers.has(context)) {
+            const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+            const data = buffer.getChannelData(0);
+            
+            for (let i = 0; i < data.length; i++) {
+                data[i] = random() * 2 - 1;
+            }
+            this.noiseBuffers.set(context, buffer);
+        }
+        return this.noiseBuffers.get(context);
+    },
+    
+    /**
+     * Check a sound definition, in the same spirit as MusicSequencer.validate
+     * @param {Object} definition - Sound from GameConfig.sounds
+     * @returns {string[]} Problems found, empty if the sound is playable
+     */
+    validate(definition) {
+        const errors = [];
+        const isNumber = value => typeof value === 'number' && isFinite(value);
+        const isPositive = value => isNumber(value) && value > 0;
+        const isLevel = value => value === undefined || (isNumber(value) && value >= 0 && value <= 1);
+        
+        if (typeof definition !== 'object' || definition === null) {
+            return ['sound must be an object'];
+        }
+        
+        if (!isPositive(definition.duration)) {
+            errors.push('duration must be a positive number');
+        }
+        
+        if (!(definition.volume === undefined || (isNumber(definition.volume) && definition.volume >= 0))) {
+            errors.push('volume must be a number of at least 0');
+        }
+        
+        if (!Array.isArray(definition.layers) || definition.layers.length === 0) {
+            errors.push('layers must be a non-empty array');
+            return errors;
+        }
+        
+        const checkSweep = (sweep, prefix) => {
+            if (sweep === undefined) return;
+            if (!Array.isArray(sweep)) {
+                errors.push(`${prefix} must be an array`);
+                return;
+            }
+            
+            sweep.forEach((step, i) => {
+                if (!isPositive(step.to) || !(isNumber(step.at) && step.at >= 0 && step.at <= definition.duration)) {
+                    errors.push(`${prefix}[${i}] needs a positive "to" and an "at" within the duration`);
+                }
+                if (step.curve !== undefined && !['exponential', 'linear', 'step'].includes(step.curve)) {
+                    errors.push(`${prefix}[${i}].curve must be exponential, linear or step`);
+                }
+            });
+        };
+        
+        definition.layers.forEach((layer, index) => {
+            const prefix = `layers[${index}]`;
+            
+            if (typeof layer !== 'object' || layer === null) {
+                errors.push(`${prefix} must be an object`);
+                return;
+            }
+            
+            if (!GameConfig.music.waves.includes(layer.wave)) {
+                errors.push(`${prefix}.wave must be one of ${GameConfig.music.waves.join(', ')}`);
+            }
+            
+            if (layer.wave !== 'noise' && !isPositive(layer.frequency)) {
+                errors.push(`${prefix}.frequency must be a positive number`);
+            }
+            checkSweep(layer.sweep, `${prefix}.sweep`);
+            
+            if (!isLevel(layer.volume)) {
+                errors.push(`${prefix}.volume must be between 0 and 1`);
+            }
+            
+            if (!isLevel(layer.variance)) {
+                errors.push(`${prefix}.variance must be between 0 and 1`);
+            }
+            
+            if (layer.envelope !== undefined) {
+                const envelope = layer.envelope;
+                
+                if (!['attack', 'decay', 'release'].every(stage => envelope[stage] === undefined || (isNumber(envelope[stage]) && envelope[stage] >= 0))) {
+                    errors.push(`${prefix}.envelope attack, decay and release must be seconds of at least 0`);
+                }
+                if (!isLevel(envelope.sustain)) {
+                    errors.push(`${prefix}.envelope.sustain must be between 0 and 1`);
+                }
+            }
+            
+            if (layer.filter !== undefined) {
+                if (!['lowpass', 'highpass', 'bandpass'].includes(layer.filter.type)) {
+                    errors.push(`${prefix}.filter.type must be lowpass, highpass or bandpass`);
+                }
+                if (!isPositive(layer.filter.frequency)) {
+                    errors.push(`${prefix}.filter.frequency must be a positive number`);
+                }
+                if (!(layer.filter.q === undefined || isPositive(layer.filter.q))) {
+                    errors.push(`${prefix}.filter.q must be a positive number`);
+                }
+                checkSweep(layer.filter.sweep, `${prefix}.filter.sweep`);
+            }
+        });
+        
+        return errors;
+    }
+};
+
+window.SoundSynth = SoundSynth; 
\ No newline at end of file
@@ -0,0 +1,171 @@
+/**
+ * Stage Loader Class
+ * Reads designer-authored stage definitions from the JSON cache and validates them
+ */
+
+class StageLoader {
+    constructor(scene) {
+        this.scene = scene;
+        this.stageKeys = Object.keys(GameConfig.assets.stages);
+        this.chanceStageKeys = Object.keys(GameConfig.assets.chanceStages);
+        this.reportedStages = new Set();
+    }
+    
+    getStageCount() {
+        return this.stageKeys.length;
+    }
+    
+    // Stages play in order and loop once the last one is cleared
+    getStageKey(level) {
+        if (this.stageKeys.length === 0) return null;
+        return this.stageKeys[(level - 1) % this.stageKeys.length];
+    }
+    
+    getStage(level) {
+        return this.loadStage(this.getStageKey(level));
+    }
+    
+    // Chance stages rotate the same way, one per planet reached
+    getChanceStage(number) {
+        if (this.chanceStageKeys.length === 0) return null;
+        return this.loadStage(this.chanceStageKeys[(number - 1) % this.chanceStageKeys.length]);
+    }
+    
+    loadStage(key) {
+        if (!key) return null;
+        
+        const data = this.scene.cache.json.get(key);
+        const errors = data ? this.validate(data) : ['stage file missing or not valid JSON'];
+        
+        if (errors.length > 0) {
+            this.reportInvalidStage(key, errors);
+            return null;
+        }
+        
+        return this.normalize(data);
+    }
+    
+    validate(stage) {
+        const errors = [];
+        const limits = GameConfig.stageFormat;
+        
+        if (typeof stage !== 'object' || stage === null || Array.isArray(stage)) {
+            return ['stage must be an object'];
+        }
+        
+        if (typeof stage.name !== 'string' || stage.name.length === 0) {
+            errors.push('name must be a non-empty string');
+        }
+        
+        if (stage.boss !== undefined && typeof stage.boss !== 'boolean') {
+            errors.push('boss must be true or false');
+        }
+        
+        if (stage.bonus !== undefined && typeof stage.bonus !== 'boolean') {
+            errors.push('bonus must be true or false');
+        }
+        
+        if (stage.duration !== undefined && !(this.isNumber(stage.duration) && stage.duration > 0)) {
+            errors.push('duration must be a positive number of ms');
+        }
+        
+        if (stage.fireInterval !== undefined && !(this.isNumber(stage.fireInterval) && stage.fireInterval > 0)) {
+            errors.push('fireInterval must be a positive number of ms');
+        }
+        
+        if (stage.fireChance !== undefined && !(this.isNumber(stage.fireChance) && stage.fireChance >= 0 && stage.fireChance <= 100)) {
+            errors.push('fireChance must be a percentage between 0 and 100');
+        }
+        
+        if (stage.music !== undefined && GameConfig.assets.music[stage.music] === undefined) {
+            errors.push(`music must be one of ${Object.keys(GameConfig.assets.music).join(', ')}`);
+        }
+        
+        if (!Array.isArray(stage.waves) || stage.waves.length === 0) {
+            errors.push('waves must be a non-empty array');
+            return errors;
+        }
+        
+        stage.waves.forEach((wave, index) => {
+            const prefix = `waves[${index}]`;
+            
+            if (typeof wave !== 'object' || wave === null) {
+                errors.push(`${prefix} must be an object`);
+                return;
+            }
+            
+            if (!limits.enemies.includes(wave.enemy)) {
+                errors.push(`${prefix}.enemy must be one of ${limits.enemies.join(', ')}`);
+            }
+            
+            if (wave.at !== undefined && !(this.isNumber(wave.at) && wave.at >= 0)) {
+                errors.push(`${prefix}.at must be a non-negative number of ms`);
+            }
+            
+            // Satellite groups always come as a set of three at the center
+            if (wave.enemy === 'satelliteGroup') return;
+            
+            if (!Number.isInteger(wave.count) || wave.count < 1 || wave.count > limits.maxWaveSize) {
+                errors.push(`${prefix}.count must be an integer from 1 to ${limits.maxWaveSize}`);
+            }
+            
+            if (!limits.formations.includes(wave.formation)) {
+                errors.push(`${prefix}.formation must be one of ${limits.formations.join(', ')}`);
+            }
+            
+            if (wave.entry !== undefined && !limits.entries.includes(wave.entry)) {
+                errors.push(`${prefix}.entry must be one of ${limits.entries.join(', ')}`);
+            }
+            
+            if (wave.stagger !== undefined && !(this.isNumber(wave.stagger) && wave.stagger >= 0)) {
+                errors.push(`${prefix}.stagger must be a non-negative number of ms`);
+            }
+            
+            if (wave.rotation !== undefined && !this.isNumber(wave.rotation)) {
+                errors.push(`${prefix}.rotation must be a number of degrees`);
+            }
+        });
+        
+        return errors;
+    }
+    
+    // Fill in defaults so EnemyManager never has to guess
+    normalize(stage) {
+        return {
+            name: stage.name,
+            boss: stage.boss === true,
+            bonus: stage.bonus === true,
+            duration: stage.duration || null,
+            fireInterval: stage.fireInterval || GameConfig.enemyFireInterval,
+            fireChance: stage.fireChance !== undefined ? stage.fireChance : GameConfig.enemyFireChance,
+            music: stage.music || null,
+            waves: stage.waves.map(wave => ({
+                at: wave.at || 0,
+                enemy: wave.enemy,
+                count: wave.count || 1,
+                formation: wave.formation,
+                entry: wave.entry || (wave.enemy === 'yellowScout' ? 'edges' : 'center'),
+                stagger: wave.stagger !== undefined ? wave.stagger : GameConfig.enemySpawnStagger,
+                rotation: wave.rotation || 0
+            }))
+        };
+    }
+    
+    isNumber(value) {
+        return typeof value === 'number' && isFinite(value);
+    }
+    
+    reportInvalidStage(key, errors) {
+        // Report each broken file once rather than every time it comes around
+        if (this.reportedStages.has(key)) return;
+        this.reportedStages.add(key);
+        
+        window.gameErrorHandler.handleError('Stage Validation Failed', `Stage "${key}" is malformed`, {
+            stageKey: key,
+            path: GameConfig.assets.stages[key] || GameConfig.assets.chanceStages[key],
+            errors: errors
+        });
+    }
+}
+
+window.StageLoader = StageLoader; 
\ No newline at end of file
@@ -11,7 +11,19 @@ class TouchController {
         this.activeTouches = new Map();
         this.virtualButtons = new Map();
         
+        // 'zones' nudges the ship while a screen half is held; 'direct' aims it at the touch
+        this.steering = 'zones';
+        this.mouseSteering = false;
+        this.mousePoint = null;
+        
+        // Button presses wait for the next simulation tick so replays see them
+        this.pendingFire = false;
+        this.pendingBomb = false;
+        this.fireHeld = false;
+        this.autoFire = false;
+        
         this.setupTouchDetection();
+        this.setupMouseSteering();
     }
     
     setupTouchDetection() {
@@ -26,6 +38,19 @@ class TouchController {
         }
     }
     
+    // The mouse can aim the ship the same way on desktop, whether or not touch is available
+    setupMouseSteering() {
+        this.scene.input.on('pointermove', (pointer) => {
+            if (!pointer.wasTouch) {
+                this.mousePoint = { x: pointer.x, y: pointer.y };
+            }
+        });
+        
+        this.scene.input.on('gameout', () => {
+            this.mousePoint = null;
+        });
+    }
+    
     createTouchZones() {
         const gameWidth = GameConfig.width;
         const gameHeight = GameConfig.height;
@@ -58,6 +83,16 @@ class TouchController {
             color: 0xff0000
         });
         
+        // Smart bomb button (left of fire button)
+        this.createVirtualButton('bomb', {
+            x: gameWidth - 150,
+            y: gameHeight - 80,
+            width: 50,
+            height: 50,
+            text: 'B',
+            color: 0xff8800
+        });
+        
         // Pause button (top right corner)
         this.createVirtualButton('pause', {
             x: gameWidth - 50,
@@ -114,6 +149,7 @@ class TouchController {
         
         button.on('pointerout', () => {
             button.setAlpha(0.7);
+            this.handleButtonRelease(key);
         });
         
         // Add press effects
@@ -124,35 +160,39 @@ class TouchController {
         
         button.on('pointerup', () => {
             button.setScale(1.0);
+            this.handleButtonRelease(key);
         });
     }
     
     setupEventListeners() {
         const gameCanvas = this.scene.game.canvas;
         
-        // Touch start
-        gameCanvas.addEventListener('touchstart', (event) => {
-            event.preventDefault();
-            this.handleTouchStart(event);
-        }, { passive: false });
-        
-        // Touch move
-        gameCanvas.addEventListener('touchmove', (event) => {
-            event.preventDefault();
-            this.handleTouchMove(event);
-        }, { passive: false });
+        // Touch start, move, end and cancel
+        const listeners = {
+            touchstart: (event) => {
+                event.preventDefault();
+                this.handleTouchStart(event);
+            },
+            touchmove: (event) => {
+                event.preventDefault();
+                this.handleTouchMove(event);
+            },
+            touchend: (event) => {
+                event.preventDefault();
+                this.handleTouchEnd(event);
+            },
+            touchcancel: (event) => {
+                event.preventDefault();
+                this.handleTouchEnd(event);
+            }
+        };
         
-        // Touch end
-        gameCanvas.addEventListener('touchend', (event) => {
-            event.preventDefault();
-            this.handleTouchEnd(event);
-        }, { passive: false });
+        Object.keys(listeners).forEach(type => gameCanvas.addEventListener(type, listeners[type], { passive: false }));
         
-        // Touch cancel
-        gameCanvas.addEventListener('touchcancel', (event) => {
-            event.preventDefault();
-            this.handleTouchEnd(event);
-        }, { passive: false });
+        // The canvas outlives the scene, so a restart would otherwise stack another set of listeners
+        this.scene.events.once('shutdown', () => {
+            Object.keys(listeners).forEach(type => gameCanvas.removeEventListener(type, listeners[type], { passive: false }));
+        });
     }
     
     handleTouchStart(event) {
@@ -160,6 +200,9 @@ class TouchController {
             const touch = event.changedTouches[i];
             const touchPoint = this.getTouchPoint(touch);
             
+            // Touches that land on a button never steer, even when dragged off it
+            touchPoint.onButton = this.isOnButton(touchPoint);
+            
             this.activeTouches.set(touch.identifier, touchPoint);
             this.updateTouchZones(touchPoint, true);
         }
@@ -171,6 +214,7 @@ class TouchController {
             const touchPoint = this.getTouchPoint(touch);
             
             if (this.activeTouches.has(touch.identifier)) {
+                touchPoint.onButton = this.activeTouches.get(touch.identifier).onButton;
                 this.activeTouches.set(touch.identifier, touchPoint);
                 this.updateTouchZones(touchPoint, true);
             }
@@ -215,6 +259,10 @@ class TouchController {
         }
     }
     
+    isOnButton(point) {
+        return [...this.virtualButtons.values()].some(({ button }) => button.getBounds().contains(point.x, point.y));
+    }
+    
     isPointInZone(point, zone) {
         return point.x >= zone.x && 
                point.x <= zone.x + zone.width && 
@@ -231,10 +279,14 @@ class TouchController {
     handleButtonPress(buttonKey) {
         switch (buttonKey) {
             case 'fire':
-                this.scene.player.fire();
+                this.pendingFire = true;
+                this.fireHeld = true;
+                break;
+            case 'bomb':
+                this.pendingBomb = true;
                 break;
             case 'pause':
-                this.scene.scene.pause();
+                this.scene.pauseGame();
                 break;
             case 'restart':
                 this.scene.restartGame();
@@ -242,47 +294,98 @@ class TouchController {
         }
     }
     
-    update() {
-        if (!this.enabled) return;
-        
-        // Update player movement based on touch zones
+    handleButtonRelease(buttonKey) {
+        if (buttonKey === 'fire') {
+            this.fireHeld = false;
+        }
+    }
+    
+    // Snapshot the touch zones and queued button presses for one simulation tick
+    readInput() {
         const leftZone = this.touchZones.get('left');
         const rightZone = this.touchZones.get('right');
+        const zones = this.enabled && this.steering === 'zones';
+        const input = {
+            touchLeft: zones && !!leftZone && leftZone.active,
+            touchRight: zones && !!rightZone && rightZone.active,
+            fire: this.pendingFire,
+            // Auto-fire is just a fire button that never lets go; the player's cooldown sets the rate
+            fireHeld: this.fireHeld || this.autoFire,
+            bomb: this.pendingBomb,
+            targetAngle: this.getTargetAngle()
+        };
+        
+        this.pendingFire = false;
+        this.pendingBomb = false;
+        
+        return input;
+    }
+    
+    // Angle from the tube's centre to the latest steering touch, or else the mouse
+    getTargetAngle() {
+        if (this.enabled && this.steering === 'direct') {
+            const touches = [...this.activeTouches.values()].filter(point => !point.onButton);
+            
+            if (touches.length > 0) {
+                return this.getPointAngle(touches[touches.length - 1]);
+            }
+        }
+        
+        if (this.mouseSteering && this.mousePoint) {
+            return this.getPointAngle(this.mousePoint);
+        }
+        
+        return null;
+    }
+    
+    getPointAngle(point) {
+        const dx = point.x - GameConfig.centerX;
+        const dy = point.y - GameConfig.centerY;
         
-        if (leftZone && leftZone.active) {
-            this.scene.player.angle -= this.scene.player.speed;
+        if (Math.sqrt(dx * dx + dy * dy) < GameConfig.steeringDeadzone) return null;
+        return Math.atan2(dy, dx);
+    }
+    
+    update(delta, input) {
+        // Update player movement based on touch zones
+        const turn = this.scene.player.speed * delta / 1000;
+        
+        if (input.touchLeft) {
+            this.scene.player.angle -= turn;
         }
         
-        if (rightZone && rightZone.active) {
-            this.scene.player.angle += this.scene.player.speed;
+        if (input.touchRight) {
+            this.scene.player.angle += turn;
         }
         
         // Update player position
-        if (leftZone.active || rightZone.active) {
+        if (input.touchLeft || input.touchRight) {
             this.scene.player.updatePosition();
         }
     }
     
-    // Auto-fire functionality
-    startAutoFire() {
-        if (this.autoFireTimer) return;
-        
-        this.autoFireTimer = this.scene.time.addEvent({
-            delay: 200, // Fire every 200ms
-            callback: () => {
-                if (this.scene.player && this.scene.player.sprite.active) {
-                    this.scene.player.fire();
-                }
-            },
-            loop: true
+    // Mirror the fire and bomb buttons for left-handed play
+    setLayout(layout) {
+        ['fire', 'bomb'].forEach((key) => {
+            const entry = this.virtualButtons.get(key);
+            if (!entry) return;
+            
+            const x = layout === 'left' ? GameConfig.width - entry.config.x : entry.config.x;
+            entry.button.x = x;
+            entry.text.x = x;
         });
     }
     
-    stopAutoFire() {
-        if (this.autoFireTimer) {
-            this.autoFireTimer.destroy();
-            this.autoFireTimer = null;
-        }
+    setSteering(mode) {
+        this.steering = mode;
+    }
+    
+    setMouseSteering(enabled) {
+        this.mouseSteering = enabled;
+    }
+    
+    setAutoFire(enabled) {
+        this.autoFire = enabled;
     }
     
     // Show/hide virtual buttons
@@ -0,0 +1,96 @@
+/**
+ * Tube Geometry
+ * Shared (angle, depth) coordinate system for the tube and its projection to the screen.
+ * Depth 0 is the vanishing point at the center, depth 1 is the player's circle.
+ */
+
+const Tube = {
+    /**
+     * Screen radius for a depth - grows faster near the player to fake perspective
+     * @param {number} depth - Depth along the tube
+     * @returns {number} Distance from the center in pixels
+     */
+    getRadius(depth) {
+        return GameConfig.playerRadius * Math.pow(Math.max(0, depth), GameConfig.tube.perspective);
+    },
+    
+    /**
+     * Sprite scale for a depth - tiny at the vanishing point, full size at the player
+     * @param {number} depth - Depth along the tube
+     * @returns {number} Scale multiplier
+     */
+    getScale(depth) {
+        const farScale = GameConfig.tube.farScale;
+        return Math.max(0, farScale + (1 - farScale) * depth);
+    },
+    
+    /**
+     * Project a tube coordinate onto the screen
+     * @param {number} angle - Angle around the tube in radians
+     * @param {number} depth - Depth along the tube
+     * @returns {{x: number, y: number, scale: number}} Screen position and scale
+     */
+    project(angle, depth) {
+        const radius = this.getRadius(depth);
+        
+        return {
+            x: GameConfig.centerX + Math.cos(angle) * radius,
+            y: GameConfig.centerY + Math.sin(angle) * radius,
+            scale: this.getScale(depth)
+        };
+    },
+    
+    /**
+     * Find the tube coordinate under a screen position
+     * @param {number} x - Screen x position
+     * @param {number} y - Screen y position
+     * @returns {{angle: number, depth: number}} Tube coordinate
+     */
+    unproject(x, y) {
+        const dx = x - GameConfig.centerX;
+        const dy = y - GameConfig.centerY;
+        const radius = Math.sqrt(dx * dx + dy * dy);
+        
+        return {
+            angle: Math.atan2(dy, dx),
+            depth: Math.pow(radius / GameConfig.playerRadius, 1 / GameConfig.tube.perspective)
+        };
+    },
+    
+    /**
+     * Place a sprite at a tube coordinate, updating its position and scale
+     * @param {Phaser.GameObjects.Sprite} sprite - Sprite to place
+     * @param {number} angle - Angle around the tube in radians
+     * @param {number} depth - Depth along the tube
+     * @param {number} baseScale - Sprite scale at depth 1 (defaults to the one it was last placed with)
+     * @returns {Phaser.GameObjects.Sprite} The sprite
+     */
+    place(sprite, angle, depth, baseScale = sprite.tubeBaseScale || 1) {
+        const point = this.project(angle, depth);
+        
+        sprite.tubeBaseScale = baseScale;
+        sprite.tubeAngle = angle;
+        sprite.tubeDepth = depth;
+        sprite.setPosition(point.x, point.y);
+        sprite.setScale(baseScale * point.scale);
+        
+        return sprite;
+    },
+    
+    /**
+     * Advance a sprite along the tube by its depthSpeed/angleSpeed (per second)
+     * @param {Phaser.GameObjects.Sprite} sprite - Sprite placed with Tube.place
+     * @param {number} delta - Elapsed time in ms
+     */
+    move(sprite, delta) {
+        const seconds = delta / 1000;
+        
+        this.place(
+            sprite,
+            sprite.tubeAngle + (sprite.angleSpeed || 0) * seconds,
+            sprite.tubeDepth + (sprite.depthSpeed || 0) * seconds
+        );
+    }
+};
+
+window.Tube = Tube; 
\ No newline at end of file
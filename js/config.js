@@ -9,17 +9,85 @@ const GameConfig = {
     height: 600,
     backgroundColor: '#000011',
     
+    // Seeded randomness (?seed=<anything> or ?seed=daily)
+    random: {
+        urlParam: 'seed',
+        dailyKeyword: 'daily'
+    },
+    
+    // Simulation timing
+    fixedTimestep: 1000 / 60, // ms per simulation step
+    maxFrameDelta: 250, // ms; longer stalls are dropped rather than fast-forwarded
+    
     // Player settings
     playerRadius: 250,
-    playerSpeed: 0.03,
-    playerBulletSpeed: 400,
+    playerSpeed: 1.8, // radians per second
+    playerBulletSpeed: 1.6, // tube depth per second
     playerBulletScale: 2.0,
+    maxPlayerBullets: 12, // on screen at once; shots that would exceed it are held back
+    playerInvulnerableDuration: 1000, // ms after losing a life
+    
+    // Hold fire to shoot; each weapon has its own ms between shots
+    weaponCooldowns: {
+        single: 220,
+        doubleShot: 260,
+        spreadShot: 320
+    },
     
     // Enemy settings
     enemySpeed: 50,
-    enemyBulletSpeed: 300,
+    enemyScale: 2.0,
+    satelliteOrbitSpeed: 1.2, // radians per second
+    enemyBulletSpeed: 1.0, // tube depth per second
     enemyBulletScale: 2.0,
     enemyFireChance: 20, // percentage
+    enemyFireInterval: 1500, // ms between volleys
+    enemyEnterDuration: 2000, // ms at base enemy speed
+    enemySpawnStagger: 200, // ms between ships of a wave entering
+    enemyAttackInterval: 3000, // ms between attack runs
+    enemyAttackDuration: 1500,
+    
+    // Power-up settings
+    powerUps: {
+        dropChance: 8, // percentage per enemy destroyed
+        pickupSpeed: 0.45, // tube depth per second
+        rapidFireCooldownScale: 0.45, // weapon cooldowns are multiplied by this while active
+        doubleShotSpacing: 10, // px either side of the ship
+        spreadAngle: 0.15, // radians between spread bullets
+        types: {
+            doubleShot: { label: 'DOUBLE', color: 0x00ffff, duration: 15000, weapon: true },
+            spreadShot: { label: 'SPREAD', color: 0xff00ff, duration: 12000, weapon: true },
+            rapidFire: { label: 'RAPID', color: 0xffaa00, duration: 10000 },
+            shield: { label: 'SHIELD', color: 0x0088ff, duration: 8000 },
+            smartBomb: { label: 'BOMB', color: 0xff0000, duration: 0 }
+        }
+    },
+    
+    // Boss settings
+    boss: {
+        coreHealth: 40,
+        healthPerPlanet: 10, // extra core health for each planet passed
+        turretCount: 4,
+        turretHealth: 5,
+        turretOrbitRadius: 90,
+        turretOrbitSpeed: 0.8, // radians per second
+        turretPoints: 500,
+        defeatBonus: 5000,
+        entranceDuration: 1500,
+        healthBarWidth: 300,
+        // Each phase starts once core health drops to its 'below' fraction
+        phases: [
+            { below: 1.0, attacks: ['ring'], attackInterval: 2500, ringBullets: 12 },
+            { below: 0.66, attacks: ['laser', 'turrets'], attackInterval: 3000 },
+            { below: 0.33, attacks: ['ring', 'laser', 'turrets'], attackInterval: 2200, ringBullets: 16 }
+        ],
+        laser: {
+            warningDuration: 700,
+            activeDuration: 1800,
+            sweepSpeed: 1.2, // radians per second
+            halfWidth: 0.08 // radians either side of the beam
+        }
+    },
     
     // Game settings
     initialLives: 3,
@@ -30,20 +98,195 @@ const GameConfig = {
     centerX: 400,
     centerY: 300,
     
-    // Bullet cleanup distances
-    playerBulletCleanupDistance: 50, // from center
-    enemyBulletCleanupDistance: 50, // beyond player radius
+    // Tube geometry (depth 0 = vanishing point, 1 = player's circle)
+    tube: {
+        perspective: 1.5, // radius grows as depth^perspective
+        farScale: 0.1, // sprite scale at the vanishing point
+        formationDepth: 0.7, // ships hold formation inside the player's circle
+        satelliteDepth: 0.25,
+        scoutLoopDepth: 0.15, // Yellow Scouts fall back this deep before diving
+        vanishDepth: 0.08, // player bullets disappear past this
+        exitDepth: 1.2, // enemy bullets and pickups disappear past this
+        starSpeed: 0.25, // depth per second
+        warpSpeedMultiplier: 8
+    },
+    
+    // Object pool caps - objects are recycled rather than created and destroyed every shot or wave
+    pools: {
+        playerBullets: 48,
+        enemyBullets: 128,
+        particles: 128,
+        enemies: {
+            redFighter: 48,
+            yellowScout: 32,
+            satellite: 12
+        }
+    },
+    
+    // Collision shapes per texture (or per sprite.collisionShapeKey), in texture pixels from the frame's center.
+    // They scale with the sprite's resting size and rotate with it; each must fit inside the sprite's arcade
+    // body, which is only the broad phase. Polygons must be convex. Anything not listed collides as its frame.
+    collisionShapes: {
+        playerShip: { type: 'circle', radius: 50 },
+        redEnemy: { type: 'circle', radius: 7 },
+        greenEnemy: { type: 'circle', radius: 7 },
+        yellowEnemy: { type: 'circle', radius: 7 },
+        purpleEnemy: { type: 'circle', radius: 7 },
+        playerBullet: { type: 'circle', radius: 3 },
+        enemyBullet: { type: 'circle', radius: 3 },
+        powerUp: { type: 'polygon', points: [[0, -8], [8, 0], [0, 8], [-8, 0]] },
+        bossCore: { type: 'circle', radius: 60 },
+        bossTurret: { type: 'circle', radius: 12 }
+    },
+    
+    // Debug performance overlay
+    performance: {
+        toggleKey: 'BACKTICK',
+        snapshotKey: 'F9',
+        graphFrames: 120, // frames shown in the frame time graph
+        sampleInterval: 500, // ms between readout refreshes and budget checks
+        warningCooldown: 10000, // ms before the same budget can warn again
+        filePrefix: 'gyruss-perf-',
+        // Going over any of these reports a performance warning
+        budgets: {
+            frameTime: 20, // ms, averaged over the graph
+            bullets: 100,
+            enemies: 60,
+            tweens: 150,
+            particles: 96,
+            drawCalls: 80
+        }
+    },
+    
+    // Developer console for designers, only available with ?debug=1
+    debug: {
+        urlParam: 'debug',
+        toggleKey: 'F2', // KeyboardEvent.key value
+        historySize: 20, // commands kept for the up/down arrows
+        maxLines: 14, // output lines shown
+        minTimeScale: 0.1,
+        maxTimeScale: 4
+    },
     
     // Visual effects
     starCount: 50,
     explosionParticleCount: 8,
     
-    // Controls
+    // Game feel: shake, hit-stop, flashes and flicker (FeedbackManager)
+    feedback: {
+        shake: {
+            maxOffset: 16, // px the camera moves at full trauma
+            decay: 2.5 // trauma lost per second
+        },
+        hitStopCooldown: 150, // ms before another kill can freeze the game
+        flash: {
+            depth: 900, // above the HUD, below the debug overlays
+            reducedAlpha: 0.3 // flash strength multiplier with reduce motion on
+        },
+        flicker: {
+            duration: 300, // ms
+            interval: 40, // ms per blink
+            offset: 4, // px each copy sits from the sprite
+            alpha: 0.8,
+            colors: [0xff0000, 0x00ffff]
+        },
+        enemyKilled: { trauma: 0.3, hitStop: 35 },
+        bossDefeated: { trauma: 1, hitStop: 150, color: 0xffffff, flashDuration: 600, flashAlpha: 0.9 },
+        playerHit: { trauma: 0.7 },
+        playerDied: { trauma: 1, color: 0xff0000, flashDuration: 700, flashAlpha: 0.7 },
+        smartBomb: { trauma: 0.6, color: 0xffffff, flashDuration: 400, flashAlpha: 0.8 }
+    },
+    
+    // Default keyboard bindings per action, by Phaser.Input.Keyboard.KeyCodes name
     keys: {
-        left: 'LEFT',
-        right: 'RIGHT',
-        fire: 'SPACE',
-        restart: 'R'
+        rotateLeft: ['LEFT', 'A'],
+        rotateRight: ['RIGHT', 'D'],
+        fire: ['SPACE'],
+        bomb: ['B'],
+        pause: ['P', 'ESC'],
+        restart: ['R'],
+        saveReplay: ['S']
+    },
+    
+    // Gamepad (standard mapping button indices)
+    gamepad: {
+        deadzone: 0.3, // stick deflection needed before it aims the ship
+        buttons: {
+            fire: [0, 2], // A / X
+            bomb: [1, 3], // B / Y
+            pause: [9] // Start
+        },
+        rumble: {
+            duration: 200, // ms
+            strong: 0.8,
+            weak: 0.4
+        },
+        statusDuration: 2000 // ms the connect/disconnect message stays up
+    },
+    
+    // Direct-angle steering: pointers this close to the centre don't aim (the angle jumps around there)
+    steeringDeadzone: 40, // px
+    
+    // Rebindable controls
+    keyBindings: {
+        storageKey: 'gyrussKeyBindings',
+        maxKeysPerAction: 2,
+        labels: {
+            rotateLeft: 'ROTATE LEFT',
+            rotateRight: 'ROTATE RIGHT',
+            fire: 'FIRE',
+            bomb: 'SMART BOMB',
+            pause: 'PAUSE',
+            restart: 'RESTART',
+            saveReplay: 'SAVE REPLAY'
+        }
+    },
+    
+    // High score table
+    highScores: {
+        storageKey: 'gyrussHighScores',
+        version: 1, // bump with a HighScoreTable.MIGRATIONS step when the schema changes
+        size: 10,
+        defaultInitials: 'AAA',
+        entryDelay: 2000, // ms after game over before initials entry opens
+        attractInterval: 6000 // ms between the menu's title and high score pages
+    },
+    
+    // Player settings (persisted by GameSettings)
+    settings: {
+        storageKey: 'gyrussSettings',
+        defaults: {
+            masterVolume: 1.0,
+            sfxVolume: 0.7,
+            musicVolume: 0.5,
+            uiVolume: 0.7,
+            autoFire: false,
+            touchLayout: 'right',
+            touchSteering: 'zones',
+            mouseSteering: false,
+            screenShake: true,
+            screenFlash: true,
+            reduceMotion: false, // starts on if the system asks for reduced motion
+            rumble: true
+        },
+        touchLayouts: {
+            right: 'RIGHT-HANDED',
+            left: 'LEFT-HANDED'
+        },
+        touchSteerings: {
+            zones: 'HALF SCREEN',
+            direct: 'POINT TO AIM'
+        },
+        sliderWidth: 200,
+        sliderStep: 0.1
+    },
+    
+    // Input replays
+    replay: {
+        version: 2, // 2 added aimed angles from gamepad sticks
+        angleSteps: 1024, // resolution aimed angles are recorded (and played) at
+        filePrefix: 'gyruss-replay-',
+        endDelay: 3000 // ms the finished replay lingers before returning to the menu
     },
     
     // Asset configuration
@@ -54,9 +297,183 @@ const GameConfig = {
             greenEnemy: 'assets/green_enemy_ship.png',
             yellowEnemy: 'assets/yellow_enemy_ship.png',
             purpleEnemy: 'assets/purple_enemy_ship.png'
+        },
+        // Played in this order, looping after the last
+        stages: {
+            stage1: 'assets/stages/stage1.json',
+            stage2: 'assets/stages/stage2.json',
+            stage3: 'assets/stages/stage3.json',
+            stage4: 'assets/stages/stage4.json'
+        },
+        // Bonus stages played on arrival at each planet
+        chanceStages: {
+            chance1: 'assets/stages/chance1.json'
+        },
+        // Background music tracks (note patterns for MusicSequencer); stage files pick one with "music"
+        music: {
+            toccata: 'assets/music/toccata.json',
+            warpDrive: 'assets/music/warp_drive.json',
+            bonusRound: 'assets/music/bonus_round.json'
+        },
+        // Recorded sound effects, keyed like GameConfig.sounds and given without an extension,
+        // e.g. explosion: 'assets/sounds/explosion' loads explosion.ogg or explosion.mp3.
+        // Sounds not listed here, or whose file fails to load, play their procedural version instead.
+        audio: {},
+        audioFormats: ['ogg', 'mp3'] // in order of preference; the first one the browser can play is loaded
+    },
+    
+    // Background music sequencer
+    music: {
+        defaultTrack: 'toccata', // for stages that don't name one
+        chanceTrack: 'bonusRound', // for chance stages that don't name one
+        bossTempo: 1.3, // tempo multiplier reached during boss fights
+        tempoRamp: 4, // seconds to ramp between tempos
+        lookahead: 0.12, // seconds of notes scheduled ahead of the audio clock
+        scheduleInterval: 25, // ms between scheduler runs
+        gate: 0.85, // fraction of its length a note actually sounds
+        channelVolume: 0.2, // for channels that don't set a volume
+        noiseDecay: 0.06, // seconds a percussion hit lasts
+        fadeTime: 0.05, // seconds to fade out when pausing or changing track
+        waves: ['square', 'triangle', 'sawtooth', 'sine', 'noise'],
+        // Explosions and player hits push the music down so they cut through
+        duck: {
+            level: 0.35,
+            attack: 0.02, // seconds
+            hold: 0.25,
+            release: 0.4
+        }
+    },
+    
+    // Sound effect mixing
+    audio: {
+        // Sits between the master volume and the speakers, so stacked explosions don't clip
+        compressor: {
+            threshold: -18, // dB
+            knee: 12,
+            ratio: 4,
+            attack: 0.003, // seconds
+            release: 0.25
+        },
+        panWidth: 0.8, // how far toward one speaker a sound at the edge of the ring goes (1 = all the way)
+        // Most copies of a sound playing at once; the oldest is cut off to make room
+        voiceLimits: {
+            shoot: 4,
+            explosion: 6,
+            enemyDeath: 6,
+            playerHit: 2,
+            levelUp: 1,
+            powerup: 2,
+            uiMove: 2,
+            uiSelect: 2
+        },
+        defaultVoiceLimit: 4,
+        stealFade: 0.015, // seconds to fade out a cut-off voice
+        // Envelope stages a sound layer leaves out (seconds; sustain is a fraction of the layer volume)
+        envelope: {
+            attack: 0.005,
+            decay: 0,
+            sustain: 1,
+            release: 0.02
+        }
+    },
+    
+    // Procedural sound effects, rendered by SoundSynth (see js/SoundSynth.js for the format).
+    // generate_sounds.html previews and exports these same definitions.
+    sounds: {
+        shoot: {
+            duration: 0.12,
+            layers: [
+                { wave: 'square', frequency: 900, sweep: [{ to: 350, at: 0.1 }], volume: 0.5, variance: 0.04,
+                    envelope: { attack: 0.002, decay: 0.09, sustain: 0 } },
+                { wave: 'noise', filter: { type: 'highpass', frequency: 4000 }, volume: 0.25,
+                    envelope: { attack: 0.001, decay: 0.03, sustain: 0 } }
+            ]
+        },
+        explosion: {
+            duration: 0.6,
+            layers: [
+                { wave: 'noise', filter: { type: 'lowpass', frequency: 3000, sweep: [{ to: 150, at: 0.5 }] }, volume: 1, variance: 0.15,
+                    envelope: { attack: 0.003, decay: 0.45, sustain: 0 } },
+                { wave: 'sine', frequency: 140, sweep: [{ to: 40, at: 0.4 }], volume: 0.8, variance: 0.1,
+                    envelope: { attack: 0.003, decay: 0.35, sustain: 0 } }
+            ]
+        },
+        enemyDeath: {
+            duration: 0.3,
+            layers: [
+                { wave: 'square', frequency: 500, sweep: [{ to: 90, at: 0.25 }], volume: 0.4, variance: 0.08,
+                    envelope: { attack: 0.002, decay: 0.22, sustain: 0 } },
+                { wave: 'noise', filter: { type: 'bandpass', frequency: 1800, q: 2, sweep: [{ to: 400, at: 0.25 }] }, volume: 0.8, variance: 0.1,
+                    envelope: { attack: 0.002, decay: 0.2, sustain: 0 } }
+            ]
+        },
+        playerHit: {
+            duration: 0.5,
+            layers: [
+                { wave: 'sawtooth', frequency: 180, sweep: [{ to: 45, at: 0.45 }], volume: 0.6,
+                    envelope: { attack: 0.005, decay: 0.3, sustain: 0.3, release: 0.1 } },
+                { wave: 'noise', filter: { type: 'lowpass', frequency: 900 }, volume: 0.7,
+                    envelope: { attack: 0.002, decay: 0.25, sustain: 0 } }
+            ]
+        },
+        levelUp: {
+            duration: 0.6,
+            layers: [
+                { wave: 'square', frequency: 400, sweep: [{ to: 800, at: 0.3, curve: 'linear' }, { to: 1200, at: 0.6, curve: 'linear' }], volume: 0.4,
+                    envelope: { attack: 0.01, sustain: 1, release: 0.1 } },
+                { wave: 'triangle', frequency: 200, sweep: [{ to: 400, at: 0.3, curve: 'linear' }, { to: 600, at: 0.6, curve: 'linear' }], volume: 0.5,
+                    envelope: { attack: 0.01, sustain: 1, release: 0.1 } }
+            ]
+        },
+        powerup: {
+            duration: 0.25,
+            layers: [
+                { wave: 'triangle', frequency: 400, sweep: [{ to: 600, at: 0.08, curve: 'step' }, { to: 800, at: 0.16, curve: 'step' }], volume: 0.8,
+                    envelope: { attack: 0.005, sustain: 1, release: 0.06 } },
+                { wave: 'square', frequency: 800, sweep: [{ to: 1200, at: 0.08, curve: 'step' }, { to: 1600, at: 0.16, curve: 'step' }], volume: 0.15,
+                    envelope: { attack: 0.005, sustain: 1, release: 0.06 } }
+            ]
+        },
+        uiMove: {
+            duration: 0.05,
+            layers: [
+                { wave: 'square', frequency: 660, volume: 0.5, envelope: { attack: 0.002, release: 0.02 } }
+            ]
+        },
+        uiSelect: {
+            duration: 0.12,
+            layers: [
+                { wave: 'square', frequency: 660, sweep: [{ to: 990, at: 0.05, curve: 'step' }], volume: 0.5,
+                    envelope: { attack: 0.002, release: 0.03 } }
+            ]
         }
     },
     
+    // Campaign settings - warp from Neptune in toward Earth
+    campaign: {
+        warpsPerPlanet: 3,
+        warpDuration: 3000, // ms of warp transition between planets
+        bannerDuration: 2000,
+        chanceBonusPerKill: 100,
+        chancePerfectBonus: 10000,
+        planets: [
+            { name: 'Neptune', palette: { background: 0x000022, stars: 0x88aaff, planet: 0x3355ff } },
+            { name: 'Uranus', palette: { background: 0x001a1a, stars: 0xaaffff, planet: 0x66dddd } },
+            { name: 'Saturn', palette: { background: 0x1a1400, stars: 0xffeeaa, planet: 0xd8b060 } },
+            { name: 'Jupiter', palette: { background: 0x1a0a00, stars: 0xffccaa, planet: 0xc88850 } },
+            { name: 'Mars', palette: { background: 0x1a0000, stars: 0xffaaaa, planet: 0xcc4422 } },
+            { name: 'Earth', palette: { background: 0x000011, stars: 0xffffff, planet: 0x2266ff } }
+        ]
+    },
+    
+    // Allowed values in stage files
+    stageFormat: {
+        enemies: ['redFighter', 'yellowScout', 'satelliteGroup'],
+        formations: ['v', 'line', 'circle'],
+        entries: ['center', 'edges', 'left', 'right'],
+        maxWaveSize: 16
+    },
+    
     // Loading screen settings
     loading: {
         minLoadTime: 2000, // Minimum time to show loading screen (ms)